@@ -0,0 +1,180 @@
+// Security rules specs for rooms. They need the Firestore emulator: `npm run test:rules` starts it with the
+// firebase-tools devDependency (which needs Java), runs them and stops it.
+import { after, before, beforeEach, describe, it } from 'node:test';
+import { readFileSync } from 'node:fs';
+import { initializeTestEnvironment, assertFails, assertSucceeds } from '@firebase/rules-unit-testing';
+import { doc, getDoc, setDoc, updateDoc, serverTimestamp, arrayUnion, Timestamp } from 'firebase/firestore';
+
+const ROOM = 'artifacts/default-trivia-app/public/data/rooms/ABC123';
+const HOUR_MS = 60 * 60 * 1000;
+
+let testEnv;
+const dbAs = (uid) => testEnv.authenticatedContext(uid).firestore();
+const seed = (path, data) => testEnv.withSecurityRulesDisabled(context => setDoc(doc(context.firestore(), path), data));
+
+// A room mid-game: host and bob are playing, mallory has been removed.
+const seedRoom = (changes = {}) => seed(ROOM, {
+    hostId: 'host',
+    players: [{ uid: 'host', name: 'Host', score: 0 }, { uid: 'bob', name: 'Bob', score: 0 }],
+    playerIds: ['host', 'bob'],
+    kickedIds: ['mallory'],
+    isLocked: false,
+    maxPlayers: 0,
+    gameSettings: { amount: 10, lifelines: 1 },
+    gameState: 'playing',
+    currentQuestionIndex: 0,
+    answers: {},
+    lifelines: {},
+    revealedAnswer: null,
+    expiresAt: Timestamp.fromMillis(Date.now() + HOUR_MS),
+    ...changes
+});
+
+before(async () => {
+    testEnv = await initializeTestEnvironment({ projectId: 'demo-trivia', firestore: { rules: readFileSync(new URL('./firestore.rules', import.meta.url), 'utf8') } });
+});
+after(() => testEnv.cleanup());
+beforeEach(() => testEnv.clearFirestore());
+
+describe('joining a room', () => {
+    const join = (uid, player = { uid, name: uid, score: 0 }) => updateDoc(doc(dbAs(uid), ROOM), { players: arrayUnion(player), playerIds: arrayUnion(uid) });
+
+    it('lets a player add themselves', async () => {
+        await seedRoom({ gameState: 'waiting' });
+        await assertSucceeds(join('carol'));
+    });
+    it('turns away players added by someone else or with a score', async () => {
+        await seedRoom({ gameState: 'waiting' });
+        await assertFails(join('carol', { uid: 'dave', name: 'Dave', score: 0 }));
+        await assertFails(join('carol', { uid: 'carol', name: 'Carol', score: 5 }));
+    });
+    it('keeps locked rooms and removed players out', async () => {
+        await seedRoom({ gameState: 'waiting', isLocked: true });
+        await assertFails(join('carol'));
+        await seedRoom({ gameState: 'waiting' });
+        await assertFails(join('mallory'));
+    });
+    it('has to keep playerIds in step with players', async () => {
+        await seedRoom({ gameState: 'waiting' });
+        await assertFails(updateDoc(doc(dbAs('carol'), ROOM), { players: arrayUnion({ uid: 'carol', name: 'Carol', score: 0 }) }));
+    });
+});
+
+describe('leaving a room', () => {
+    it('lets a player remove themselves', async () => {
+        await seedRoom();
+        await assertSucceeds(updateDoc(doc(dbAs('bob'), ROOM), { players: [{ uid: 'host', name: 'Host', score: 0 }], playerIds: ['host'] }));
+    });
+    it("doesn't let a player remove anyone else", async () => {
+        await seedRoom();
+        await assertFails(updateDoc(doc(dbAs('bob'), ROOM), { players: [{ uid: 'bob', name: 'Bob', score: 0 }], playerIds: ['bob'] }));
+    });
+});
+
+describe('answering', () => {
+    const answer = (uid, answeredAt = serverTimestamp(), questionIndex = 0) => updateDoc(doc(dbAs(uid), ROOM), { [`answers.${uid}`]: { answer: 'Paris', answeredAt, questionIndex } });
+
+    it('takes one answer from each player, stamped with the server time', async () => {
+        await seedRoom();
+        await assertSucceeds(answer('bob'));
+        await assertFails(answer('bob'));
+        await assertFails(answer('host', Timestamp.fromMillis(Date.now())));
+    });
+    it('only takes answers for the current question', async () => {
+        await seedRoom({ currentQuestionIndex: 3 });
+        await assertFails(answer('bob', serverTimestamp(), 2));
+        await assertSucceeds(answer('bob', serverTimestamp(), 3));
+    });
+    it('only takes answers from players in the room', async () => {
+        await seedRoom();
+        await assertFails(answer('mallory'));
+        await assertFails(answer('spectator'));
+    });
+    it('turns away answers after the reveal', async () => {
+        await seedRoom({ revealedAnswer: 'Paris' });
+        await assertFails(answer('bob'));
+    });
+    it("doesn't let a player answer for someone else", async () => {
+        await seedRoom();
+        await assertFails(updateDoc(doc(dbAs('bob'), ROOM), { 'answers.host': { answer: 'Paris', answeredAt: serverTimestamp(), questionIndex: 0 } }));
+    });
+});
+
+describe('the answer key', () => {
+    const ANSWER_KEY = `${ROOM}/private/answerKey`;
+
+    it('is readable by the host only', async () => {
+        await seedRoom();
+        await seed(ANSWER_KEY, { correctAnswers: ['Paris'], acceptedAnswers: {} });
+        await assertSucceeds(getDoc(doc(dbAs('host'), ANSWER_KEY)));
+        await assertFails(getDoc(doc(dbAs('bob'), ANSWER_KEY)));
+        await assertFails(getDoc(doc(dbAs('stranger'), ANSWER_KEY)));
+    });
+    it('is revealed on the room by the host only', async () => {
+        await seedRoom();
+        await assertFails(updateDoc(doc(dbAs('bob'), ROOM), { revealedAnswer: 'Paris' }));
+        await assertSucceeds(updateDoc(doc(dbAs('host'), ROOM), { revealedAnswer: 'Paris' }));
+    });
+});
+
+describe('lifelines', () => {
+    const useLifeline = (uid, lifeline = 'double') => updateDoc(doc(dbAs(uid), ROOM), { [`lifelines.${uid}`]: [{ lifeline, questionIndex: 0 }] });
+
+    it('lets a player record a lifeline for themselves', async () => {
+        await seedRoom();
+        await assertSucceeds(useLifeline('bob'));
+    });
+    it('lets a skip stand in as the answer', async () => {
+        await seedRoom();
+        await assertSucceeds(updateDoc(doc(dbAs('bob'), ROOM), {
+            'lifelines.bob': [{ lifeline: 'skip', questionIndex: 0 }],
+            'answers.bob': { answer: null, answeredAt: serverTimestamp(), questionIndex: 0, skipped: true }
+        }));
+    });
+    it('only takes lifelines from players in the room', async () => {
+        await seedRoom();
+        await assertFails(useLifeline('mallory'));
+        await assertFails(useLifeline('spectator'));
+    });
+    it('keeps earlier uses as they were', async () => {
+        await seedRoom({ currentQuestionIndex: 5, lifelines: { bob: [{ lifeline: 'double', questionIndex: 0 }] } });
+        await assertFails(updateDoc(doc(dbAs('bob'), ROOM), { 'lifelines.bob': [{ lifeline: 'double', questionIndex: 5 }, { lifeline: 'skip', questionIndex: 5 }] }));
+        await assertSucceeds(updateDoc(doc(dbAs('bob'), ROOM), { 'lifelines.bob': [{ lifeline: 'double', questionIndex: 0 }, { lifeline: 'skip', questionIndex: 5 }] }));
+    });
+    it('only records known lifelines for the current question', async () => {
+        await seedRoom({ currentQuestionIndex: 2 });
+        await assertFails(updateDoc(doc(dbAs('bob'), ROOM), { 'lifelines.bob': [{ lifeline: 'double', questionIndex: 3 }] }));
+        await assertFails(updateDoc(doc(dbAs('bob'), ROOM), { 'lifelines.bob': [{ lifeline: 'extraLife', questionIndex: 2 }] }));
+    });
+    it('is closed when the game has lifelines off or the question is answered', async () => {
+        await seedRoom({ gameSettings: { amount: 10, lifelines: 0 } });
+        await assertFails(useLifeline('bob'));
+        await seedRoom({ answers: { bob: { answer: 'Paris', answeredAt: Timestamp.fromMillis(Date.now()) } } });
+        await assertFails(useLifeline('bob'));
+    });
+});
+
+describe('taking over as host', () => {
+    const takeOver = (uid) => updateDoc(doc(dbAs(uid), ROOM), { hostId: uid });
+    const seedHostPresence = (online, lastSeenMs) => seed(`${ROOM}/presence/host`, { online, lastSeen: Timestamp.fromMillis(lastSeenMs) });
+
+    it('lets a player take over once the host has gone offline or stale', async () => {
+        await seedRoom();
+        await seedHostPresence(false, Date.now());
+        await assertSucceeds(takeOver('bob'));
+        await seedRoom();
+        await seedHostPresence(true, Date.now() - 5 * 60 * 1000);
+        await assertSucceeds(takeOver('bob'));
+    });
+    it('keeps the host while their heartbeat is fresh', async () => {
+        await seedRoom();
+        await seedHostPresence(true, Date.now());
+        await assertFails(takeOver('bob'));
+    });
+    it("doesn't let anyone outside the room take over", async () => {
+        await seedRoom();
+        await seedHostPresence(false, Date.now());
+        await assertFails(takeOver('mallory'));
+        await assertFails(takeOver('stranger'));
+    });
+});
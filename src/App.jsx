@@ -1,33 +1,16 @@
-import React, { useState, useEffect, useCallback, useRef } from 'react';
-import { initializeApp } from 'firebase/app';
-import { getAuth, signInAnonymously, onAuthStateChanged, signInWithCustomToken } from 'firebase/auth';
-import { getFirestore, doc, setDoc, getDoc, onSnapshot, updateDoc, arrayUnion, collection, deleteDoc, query, orderBy, limit, getDocs, addDoc } from 'firebase/firestore';
-import { Sparkles, Users, Gamepad2, Settings, Copy, Share2, Play, ChevronLeft, Crown, User, ArrowRight, LogOut, CheckCircle, XCircle, Link as LinkIcon, SlidersHorizontal, Trophy, CheckSquare, Square, Loader2 } from 'lucide-react';
+import React, { useState, useEffect, useCallback, useRef, useId } from 'react';
+import { Sparkles, Users, Gamepad2, Settings, Copy, Share2, Play, ChevronLeft, Crown, User, ArrowRight, LogOut, CheckCircle, XCircle, Link as LinkIcon, SlidersHorizontal, Trophy, CheckSquare, Square, Loader2, Timer, Lock, Unlock, UserX, Pencil, RefreshCw, ListChecks, CalendarDays, Medal, Tv, Eye, Smartphone, Divide, SkipForward, Zap, Heart, MessageSquare, MessageSquareOff, Send } from 'lucide-react';
 import { Analytics } from "@vercel/analytics/next"
 import { SpeedInsights } from "@vercel/speed-insights/next"
+import localQuestionPack from './data/questionPack.json';
+import { backend } from './backend';
+import { MAX_TIMED_POINTS, getQuestionType, isSeriesOver, createGame, applyChanges, getCurrentQuestion, isLastQuestion, isRevealed, allAnswered, getRevealedEntry, startGame, submitAnswer, timeOut, startTurn, revealAnswer, advance, startRound, LIFELINES, getLifelinesUsed, getLifelinesLeft, canUseLifeline, playLifeline, hideWrongAnswers, isWaitingForFiftyFifty, MAX_SURVIVAL_QUESTIONS, getLivesLeft, getOpeningRequest, getQuestionRequest, addQuestions, isNextQuestionReady } from './gameEngine';
 
-// --- FIREBASE CONFIGURATION ---
-// This configuration will work in the interactive environment.
-const firebaseConfig = JSON.parse(import.meta.env.VITE_FIREBASE_CONFIG || '{}');
-const initialAuthToken = typeof __initial_auth_token !== 'undefined' ? __initial_auth_token : null;
+// --- BACKEND ---
+// Storage and sign-in go through `backend` (see ./backend): Firebase when it is configured, otherwise
+// a local backend that keeps everything on this device.
 const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-trivia-app';
-
-// --- FIREBASE INITIALIZATION ---
-let app;
-let auth;
-let db;
-
-if (firebaseConfig.apiKey && firebaseConfig.projectId) {
-    try {
-        app = initializeApp(firebaseConfig);
-        auth = getAuth(app);
-        db = getFirestore(app);
-    } catch (error) {
-        console.error("Firebase initialization failed:", error);
-    }
-} else {
-    console.warn("Firebase configuration is missing. App will run in a limited mode.");
-}
+const roomPath = (roomId) => `artifacts/${appId}/public/data/rooms/${roomId}`;
 
 // --- HELPER FUNCTIONS ---
 const generateRoomCode = () => Math.random().toString(36).substring(2, 8).toUpperCase();
@@ -43,87 +26,1543 @@ const generateRandomName = () => {
     return `${adjective} ${animal.name} ${animal.emoji}`;
 };
 const shuffleArray = (array) => [...array].sort(() => Math.random() - 0.5);
+const copyTextToClipboard = (text) => {
+    const textArea = document.createElement('textarea');
+    textArea.value = text;
+    document.body.appendChild(textArea);
+    textArea.select();
+    try { document.execCommand('copy'); return true; } catch (err) { console.error('Failed to copy: ', err); return false; } finally { document.body.removeChild(textArea); }
+};
+
+// Scoring and the other game rules live in gameEngine.js. The host waits this long past the deadline before
+// timing players out, so answers sent at the buzzer still land.
+const TIMEOUT_GRACE_MS = 1000;
+
+// Seeded randomness for anything every player must see identically (e.g. the daily challenge).
+// A sort with a random comparator depends on the JS engine's sort, so this uses Fisher-Yates instead.
+const hashString = (text) => {
+    let hash = 2166136261;
+    for (let i = 0; i < text.length; i++) hash = Math.imul(hash ^ text.charCodeAt(i), 16777619);
+    return hash >>> 0;
+};
+const createSeededRandom = (seed) => {
+    let state = hashString(String(seed));
+    return () => {
+        state = (state + 0x6D2B79F5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+const seededShuffle = (array, random) => {
+    const result = [...array];
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+};
+
+// --- QUESTION PROVIDERS ---
+// Every provider resolves to normalized questions: { type, question, correct_answer, incorrect_answers, accepted_answers, answers,
+// category, difficulty, image? }, all plain text. Sources may HTML-encode their text (Open Trivia DB always does), so it is decoded
+// exactly once here and rendered as text from then on; markup in it is shown literally, never interpreted.
+// Types: 'multiple' (shuffled options), 'boolean' (always True/False in that order) and 'text' (typed, no options; matched
+// loosely against correct_answer and accepted_answers).
+const QUESTION_FORMATS = [
+    { id: 'multiple', label: 'Multiple choice' },
+    { id: 'boolean', label: 'True / False' },
+    { id: 'text', label: 'Typed answer' }
+];
+const DEFAULT_FORMATS = ['multiple'];
+const BOOLEAN_ANSWERS = ['True', 'False'];
+const getFormats = (settings) => settings?.formats?.length ? settings.formats : DEFAULT_FORMATS;
+
+const toQuestion = ({ type = 'multiple', question, correct_answer, incorrect_answers = [], accepted_answers = [], image, category = 'General', difficulty = 'medium' }) => ({
+    type, question, correct_answer, category, difficulty,
+    incorrect_answers: type === 'text' ? [] : incorrect_answers,
+    accepted_answers: type === 'text' ? accepted_answers : [],
+    answers: type === 'boolean' ? BOOLEAN_ANSWERS : type === 'text' ? [] : shuffleArray([correct_answer, ...incorrect_answers]),
+    ...(image ? { image } : {})
+});
+let entityDecoder = null;
+const decodeEntities = (text) => {
+    entityDecoder = entityDecoder || document.createElement('textarea');
+    entityDecoder.innerHTML = String(text);
+    return entityDecoder.value;
+};
+const decodeQuestionText = ({ type, question, correct_answer, incorrect_answers = [], accepted_answers = [], image, category, difficulty }) => ({
+    type,
+    question: decodeEntities(question),
+    correct_answer: decodeEntities(correct_answer),
+    incorrect_answers: incorrect_answers.map(decodeEntities),
+    accepted_answers: accepted_answers.map(decodeEntities),
+    image,
+    category: category && decodeEntities(category),
+    difficulty
+});
+const normalizeQuestion = (rawQuestion) => toQuestion(decodeQuestionText(rawQuestion));
+
+// Questions are checked before they are stored in a room or shown. Room documents can be written by
+// any player, so a room's questions (which have no correct_answer) are checked again on every read.
+const MAX_QUESTION_LENGTH = 500;
+const MAX_ANSWER_LENGTH = 200;
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+const MAX_ACCEPTED_ANSWERS = 10;
+const isText = (value, maxLength) => typeof value === 'string' && value.trim().length > 0 && value.length <= maxLength;
+// Images are only ever shown with <img>, but are still limited to https URLs.
+const isImageUrl = (value) => isText(value, MAX_QUESTION_LENGTH) && /^https:\/\/[^\s]+$/.test(value);
+const hasValidAnswers = (q) => {
+    if (!Array.isArray(q.answers)) return false;
+    switch (getQuestionType(q)) {
+        case 'boolean': return q.answers.length === 2 && q.answers.every((answer, i) => answer === BOOLEAN_ANSWERS[i]);
+        case 'text': return q.answers.length === 0;
+        case 'multiple': return q.answers.length >= 2 && q.answers.length <= MAX_WRONG_ANSWERS + 1
+            && q.answers.every(answer => isText(answer, MAX_ANSWER_LENGTH)) && new Set(q.answers).size === q.answers.length;
+        default: return false;
+    }
+};
+const isValidRoomQuestion = (q) => Boolean(q) && typeof q === 'object'
+    && isText(q.question, MAX_QUESTION_LENGTH) && isText(q.category, MAX_ANSWER_LENGTH) && DIFFICULTIES.includes(q.difficulty)
+    && (q.image === undefined || isImageUrl(q.image)) && hasValidAnswers(q);
+const isValidQuestion = (q) => isValidRoomQuestion(q) && isText(q.correct_answer, MAX_ANSWER_LENGTH)
+    && (getQuestionType(q) === 'text'
+        ? Array.isArray(q.accepted_answers) && q.accepted_answers.length <= MAX_ACCEPTED_ANSWERS && q.accepted_answers.every(answer => isText(answer, MAX_ANSWER_LENGTH))
+        : q.answers.includes(q.correct_answer) && Array.isArray(q.incorrect_answers) && q.incorrect_answers.length === q.answers.length - 1);
+
+const hasValidRoomQuestions = (room) => Array.isArray(room?.questions) && room.questions.length > 0 && room.questions.every(isValidRoomQuestion);
+
+// Picks from a local pool, relaxing the category and then the difficulty filter when the pool runs short.
+// Formats are never relaxed.
+const pickFromPool = (pool, { amount = 10, categories = [], difficulty = '', formats }) => {
+    const formatPool = pool.filter(q => getFormats({ formats }).includes(getQuestionType(q)));
+    const matchesDifficulty = q => !difficulty || q.difficulty === difficulty;
+    const matchesCategory = q => categories.length === 0 || categories.includes(q.category_id);
+    const tiers = [formatPool.filter(q => matchesCategory(q) && matchesDifficulty(q)), formatPool.filter(matchesDifficulty), formatPool];
+    const picked = new Set();
+    for (const tier of tiers) {
+        for (const q of shuffleArray(tier)) {
+            if (picked.size >= amount) break;
+            picked.add(q);
+        }
+    }
+    return [...picked].map(normalizeQuestion);
+};
+
+// Open Trivia DB session tokens stop the API from serving the same question twice. Single player keeps
+// one token per device; rooms get their own token, stored on the room document so it survives rematches.
+const SESSION_TOKEN_KEY = 'trivia-session-token';
+const userTokenStore = {
+    get: () => localStorage.getItem(SESSION_TOKEN_KEY),
+    set: (token) => token ? localStorage.setItem(SESSION_TOKEN_KEY, token) : localStorage.removeItem(SESSION_TOKEN_KEY)
+};
+const createMemoryTokenStore = (initialToken = null) => {
+    let token = initialToken;
+    return { get: () => token, set: (newToken) => { token = newToken; } };
+};
+
+const ensureSessionToken = async (tokenStore) => {
+    if (tokenStore.get()) return tokenStore.get();
+    try {
+        const response = await fetch('https://opentdb.com/api_token.php?command=request');
+        const data = await response.json();
+        if (data.response_code === 0) tokenStore.set(data.token);
+    } catch (error) { console.warn("Could not get a session token, questions may repeat.", error); }
+    return tokenStore.get();
+};
+const resetSessionToken = async (tokenStore) => {
+    try {
+        const response = await fetch(`https://opentdb.com/api_token.php?command=reset&token=${tokenStore.get()}`);
+        const data = await response.json();
+        if (data.response_code !== 0) tokenStore.set(null);
+    } catch (error) { console.warn("Could not reset the session token", error); tokenStore.set(null); }
+};
+
+// Open Trivia DB allows one request per IP every five seconds, so question requests are queued and spaced out.
+const OPENTDB_REQUEST_INTERVAL = 5000;
+const OPENTDB_MAX_ATTEMPTS = 4;
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+let openTriviaQueue = Promise.resolve();
+let lastOpenTriviaRequest = 0;
+const queueOpenTriviaRequest = (url) => {
+    const request = openTriviaQueue.then(async () => {
+        const wait = lastOpenTriviaRequest + OPENTDB_REQUEST_INTERVAL - Date.now();
+        if (wait > 0) await sleep(wait);
+        lastOpenTriviaRequest = Date.now();
+        const response = await fetch(url);
+        return response.json();
+    });
+    openTriviaQueue = request.catch(() => {});
+    return request;
+};
+
+const fetchOpenTriviaQuestions = async ({ amount = 10, categories = [], difficulty = '', formats }, { tokenStore = userTokenStore, onNotice = () => {} } = {}) => {
+    const typeFilter = getFormats({ formats }).length === 1 ? `&type=${getFormats({ formats })[0]}` : '';
+    const describe = (catId) => {
+        const categoryName = readCategoryCache().categories.find(c => c.id === catId)?.name;
+        return `${difficulty ? `${difficulty} ` : ''}questions${categoryName ? ` in ${categoryName}` : ''}`;
+    };
+    const fetchBatch = async (catId = '', num = amount) => {
+        for (let attempt = 0; attempt < OPENTDB_MAX_ATTEMPTS; attempt++) {
+            const token = await ensureSessionToken(tokenStore);
+            const data = await queueOpenTriviaRequest(`https://opentdb.com/api.php?amount=${num}${typeFilter}${catId ? `&category=${catId}` : ''}${difficulty ? `&difficulty=${difficulty}` : ''}${token ? `&token=${token}` : ''}`);
+            switch (data.response_code) {
+                case 0: return data.results;
+                case 1:
+                    onNotice(`There aren't ${num} ${describe(catId)}, so some questions come from elsewhere.`);
+                    return [];
+                case 3:
+                    tokenStore.set(null);
+                    break;
+                case 4:
+                    onNotice(`You've seen every one of the ${describe(catId)}, so they may start repeating.`);
+                    await resetSessionToken(tokenStore);
+                    break;
+                case 5:
+                    await sleep(OPENTDB_REQUEST_INTERVAL * 2 ** attempt);
+                    break;
+                default:
+                    throw new Error(`Open Trivia DB rejected the request (response code ${data.response_code}).`);
+            }
+        }
+        throw new Error('Open Trivia DB is rate limiting requests.');
+    };
+    let allQuestions = [];
+    
+    if (categories.length > 0) {
+        const questionsPerCategory = Math.max(1, Math.ceil(amount / categories.length));
+        try {
+            const results = await Promise.all(categories.map(catId => fetchBatch(catId, questionsPerCategory)));
+            allQuestions = results.flat();
+        } catch (error) { console.warn("Fetching from multiple categories failed, falling back.", error); }
+    }
+
+    if (allQuestions.length < amount) {
+        const needed = amount - allQuestions.length;
+        try {
+            allQuestions.push(...await fetchBatch('', needed > 0 ? needed : amount));
+        } catch (error) { console.error("Fallback fetch failed", error); }
+    }
+    
+    return allQuestions.map(normalizeQuestion);
+};
+
+// Imported questions are kept in localStorage so they survive reloads on this device.
+const IMPORTED_QUESTIONS_KEY = 'trivia-imported-questions';
+const loadImportedQuestions = () => {
+    try { return JSON.parse(localStorage.getItem(IMPORTED_QUESTIONS_KEY) || '[]'); } catch (error) { console.warn("Ignoring unreadable imported questions", error); return []; }
+};
+const saveImportedQuestions = (questions) => localStorage.setItem(IMPORTED_QUESTIONS_KEY, JSON.stringify(questions));
+
+const parseCSV = (text) => {
+    const rows = [[]];
+    let field = '';
+    let inQuotes = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') { field += '"'; i++; }
+            else if (char === '"') inQuotes = false;
+            else field += char;
+        } else if (char === '"') inQuotes = true;
+        else if (char === ',') { rows[rows.length - 1].push(field); field = ''; }
+        else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            rows[rows.length - 1].push(field); field = '';
+            rows.push([]);
+        } else field += char;
+    }
+    rows[rows.length - 1].push(field);
+    const [header = [], ...records] = rows.filter(row => row.some(cell => cell.trim()));
+    const keys = header.map(key => key.trim().toLowerCase());
+    return records.map(record => Object.fromEntries(keys.map((key, i) => [key, (record[i] || '').trim()])));
+};
+
+// CSV files need question and correct_answer columns plus one or more incorrect_answer* columns;
+// a single incorrect_answers column may hold several answers separated by "|". Optional columns: type
+// (multiple, boolean or text), image (an https link) and accepted_answers ("|"-separated, for text questions).
+const splitAlternatives = (value) => String(value || '').split('|').map(a => a.trim()).filter(Boolean);
+const csvRowToQuestion = (row) => ({
+    type: row.type,
+    image: row.image,
+    accepted_answers: splitAlternatives(row.accepted_answers),
+    question: row.question,
+    correct_answer: row.correct_answer,
+    incorrect_answers: Object.keys(row).filter(key => key.startsWith('incorrect_answer')).flatMap(key => splitAlternatives(row[key])),
+    category: row.category,
+    difficulty: row.difficulty
+});
+
+const parseQuestionFile = (fileName, text) => {
+    const rawQuestions = fileName.toLowerCase().endsWith('.csv') ? parseCSV(text).map(csvRowToQuestion) : JSON.parse(text);
+    if (!Array.isArray(rawQuestions)) throw new Error('The file must contain a list of questions.');
+    // The type defaults to multiple choice, or true/false when the answers are True and False.
+    const typeOf = (q) => {
+        const type = String(q.type || '').toLowerCase();
+        if (QUESTION_FORMATS.some(format => format.id === type)) return type;
+        const answers = [q.correct_answer, ...(q.incorrect_answers || [])].map(a => String(a).toLowerCase());
+        return answers.length === 2 && answers.includes('true') && answers.includes('false') ? 'boolean' : 'multiple';
+    };
+    const questions = rawQuestions
+        .filter(q => q && typeof q.question === 'string' && q.question.trim() && typeof q.correct_answer === 'string' && q.correct_answer.trim())
+        .map(q => ({ ...q, type: typeOf(q) }))
+        .filter(q => q.type === 'text' || (Array.isArray(q.incorrect_answers) && q.incorrect_answers.length > 0))
+        .map(q => ({
+            type: q.type,
+            question: q.question.trim(),
+            correct_answer: q.type === 'boolean' ? (q.correct_answer.trim().toLowerCase() === 'true' ? 'True' : 'False') : q.correct_answer.trim(),
+            incorrect_answers: q.type === 'boolean' ? [q.correct_answer.trim().toLowerCase() === 'true' ? 'False' : 'True'] : q.type === 'text' ? [] : q.incorrect_answers.map(String),
+            accepted_answers: q.type === 'text' && Array.isArray(q.accepted_answers) ? q.accepted_answers.map(String) : [],
+            ...(q.image ? { image: String(q.image).trim() } : {}),
+            category: q.category || 'Imported',
+            difficulty: ['easy', 'medium', 'hard'].includes(String(q.difficulty).toLowerCase()) ? String(q.difficulty).toLowerCase() : 'medium'
+        }));
+    return { questions, skipped: rawQuestions.length - questions.length };
+};
+
+// Quizzes written in the quiz editor are shared through Firestore by a short code.
+const MAX_WRONG_ANSWERS = 3;
+const quizPath = (code) => `artifacts/${appId}/public/data/quizzes/${code}`;
+const loadCustomQuiz = async (code) => {
+    if (!code) return null;
+    const quizCode = code.trim().toUpperCase();
+    const quiz = await backend.getDoc(quizPath(quizCode));
+    return quiz ? { code: quizCode, ...quiz } : null;
+};
+const generateQuizCode = async () => {
+    for (let attempt = 0; attempt < 5; attempt++) {
+        const code = generateRoomCode();
+        if (!(await backend.getDoc(quizPath(code)))) return code;
+    }
+    throw new Error('Could not find a free quiz code.');
+};
+// Quiz text is typed by players as plain text, so unlike the other sources it is not decoded.
+const customQuizQuestions = (quiz) => quiz.questions.map(q => toQuestion({ ...q, category: q.category || 'Custom', image: q.image || undefined }));
+
+// A provider lists `formats` when it can't supply every question format; the rest come from the offline pack.
+const questionProviders = {
+    opentdb: { label: 'Open Trivia DB', formats: ['multiple', 'boolean'], fetchQuestions: fetchOpenTriviaQuestions },
+    local: { label: 'Offline Pack', fetchQuestions: async (settings) => pickFromPool(localQuestionPack, settings) },
+    imported: { label: 'My Questions', fetchQuestions: async (settings) => pickFromPool(loadImportedQuestions(), settings) },
+    custom: { label: 'Custom Quiz', fetchQuestions: async (settings) => { const quiz = await loadCustomQuiz(settings.quizCode); return quiz ? customQuizQuestions(quiz) : []; } }
+};
 
 // --- API & DATA HOOKS ---
 const useTriviaAPI = () => {
-    const fetchQuestions = useCallback(async ({ amount = 10, categories = [], difficulty = '' }) => {
-        const fetchUrl = (catId = '', num = amount) => `https://opentdb.com/api.php?amount=${num}&type=multiple${catId ? `&category=${catId}` : ''}${difficulty ? `&difficulty=${difficulty}` : ''}`;
-        let allQuestions = [];
-        
-        if (categories.length > 0) {
-            const questionsPerCategory = Math.max(1, Math.ceil(amount / categories.length));
-            const promises = categories.map(catId => fetch(fetchUrl(catId, questionsPerCategory)).then(res => res.json()));
-            try {
-                const results = await Promise.all(promises);
-                allQuestions = results.flatMap(result => result.results || []);
-            } catch (error) { console.warn("Fetching from multiple categories failed, falling back."); }
+    const [notice, setNotice] = useState('');
+
+    // Any source that comes up short (API down, rate-limited, small import) is topped up from the offline pack.
+    // A custom quiz is played exactly as written, so it never is.
+    // Pass a tokenStore to keep Open Trivia DB sessions scoped to a room instead of this device,
+    // and onNotice to receive the same messages that end up in `notice`.
+    // Formats a source can't supply get their share of the questions from the offline pack.
+    const fetchQuestions = useCallback(async (settings, options = {}) => {
+        const { amount = 10, source = 'opentdb' } = settings;
+        const provider = questionProviders[source] || questionProviders.opentdb;
+        const formats = getFormats(settings);
+        const missingFormats = provider.formats ? formats.filter(format => !provider.formats.includes(format)) : [];
+        const providerFormats = formats.filter(format => !missingFormats.includes(format));
+        const providerAmount = providerFormats.length ? amount - Math.round(amount * missingFormats.length / formats.length) : 0;
+        const notices = [];
+        const addNotice = (message) => { notices.push(message); if (options.onNotice) options.onNotice(message); };
+        let questions = [];
+        try {
+            if (providerAmount > 0) questions = (await provider.fetchQuestions({ ...settings, amount: providerAmount, formats: providerFormats }, { ...options, onNotice: addNotice })).filter(isValidQuestion);
+        } catch (error) { console.error(`Question source "${source}" failed`, error); }
+
+        if (questions.length < amount && source !== 'local' && source !== 'custom') {
+            if (questions.length < providerAmount) {
+                console.warn(`Only got ${questions.length} of ${providerAmount} questions from "${source}", topping up from the offline pack.`);
+                if (source === 'opentdb' && notices.length === 0) addNotice('Open Trivia DB could not be reached, so some questions come from the offline pack.');
+            }
+            const seen = new Set(questions.map(q => q.question));
+            const pool = localQuestionPack.filter(q => !seen.has(q.question));
+            if (missingFormats.length) questions.push(...pickFromPool(pool, { ...settings, formats: missingFormats, amount: amount - providerAmount }));
+            questions.push(...pickFromPool(pool.filter(q => !questions.some(picked => picked.question === q.question)), { ...settings, amount: amount - questions.length }));
         }
 
-        if (allQuestions.length < amount) {
-            const needed = amount - allQuestions.length;
-            try {
-                const response = await fetch(fetchUrl('', needed > 0 ? needed : amount));
-                const data = await response.json();
-                if (data.results) allQuestions.push(...data.results);
-            } catch (error) { console.error("Fallback fetch failed", error); }
+        setNotice(notices.join(' '));
+        return shuffleArray(questions).slice(0, amount);
+    }, []);
+
+    return { fetchQuestions, notice };
+};
+
+// Category catalogue and per-category counts rarely change, so they are cached in localStorage for a day.
+const CATEGORY_CACHE_KEY = 'trivia-category-cache';
+const CATEGORY_CACHE_TTL = 24 * 60 * 60 * 1000;
+const readCategoryCache = () => {
+    try {
+        const cached = JSON.parse(localStorage.getItem(CATEGORY_CACHE_KEY) || 'null');
+        if (cached && Date.now() - cached.savedAt < CATEGORY_CACHE_TTL) return cached;
+    } catch (error) { console.warn("Ignoring unreadable category cache", error); }
+    return { savedAt: Date.now(), categories: [], counts: {} };
+};
+const writeCategoryCache = (changes) => {
+    try { localStorage.setItem(CATEGORY_CACHE_KEY, JSON.stringify({ ...readCategoryCache(), ...changes })); } catch (error) { console.warn("Could not cache categories", error); }
+};
+
+const useCategories = () => {
+    const [categories, setCategories] = useState(() => readCategoryCache().categories);
+    const [counts, setCounts] = useState(() => readCategoryCache().counts);
+    const [isLoading, setIsLoading] = useState(false);
+    const [error, setError] = useState('');
+    const pendingCounts = useRef(new Set());
+
+    useEffect(() => {
+        if (categories.length > 0) return;
+        let cancelled = false;
+        setIsLoading(true);
+        fetch('https://opentdb.com/api_category.php')
+            .then(res => res.json())
+            .then(data => {
+                if (cancelled) return;
+                const list = [...(data.trivia_categories || [])].sort((a, b) => a.name.localeCompare(b.name));
+                setCategories(list);
+                writeCategoryCache({ categories: list });
+            })
+            .catch(e => { console.error("Fetching categories failed", e); if (!cancelled) setError('Could not load categories.'); })
+            .finally(() => { if (!cancelled) setIsLoading(false); });
+        return () => { cancelled = true; };
+    }, [categories.length]);
+
+    const loadCount = useCallback(async (catId) => {
+        if (counts[catId] || pendingCounts.current.has(catId)) return counts[catId] || null;
+        pendingCounts.current.add(catId);
+        try {
+            const response = await fetch(`https://opentdb.com/api_count.php?category=${catId}`);
+            const { category_question_count: c } = await response.json();
+            const count = { total: c.total_question_count, easy: c.total_easy_question_count, medium: c.total_medium_question_count, hard: c.total_hard_question_count };
+            setCounts(prev => ({ ...prev, [catId]: count }));
+            writeCategoryCache({ counts: { ...readCategoryCache().counts, [catId]: count } });
+            return count;
+        } catch (e) {
+            console.error(`Fetching question count for category ${catId} failed`, e);
+            return null;
+        } finally {
+            pendingCounts.current.delete(catId);
         }
-        
-        return shuffleArray(allQuestions).slice(0, amount).map(q => ({ ...q, answers: shuffleArray([q.correct_answer, ...q.incorrect_answers]) }));
+    }, [counts]);
+
+    return { categories, counts, loadCount, isLoading, error };
+};
+
+// Mirrors fetchQuestions: every category is asked for an even share, and the API returns nothing
+// for a category that cannot fill its share. Counts include true/false questions, so this is an upper bound.
+const estimateCategorySupply = ({ amount, categories, difficulty }, counts) => {
+    if (categories.length === 0) return amount;
+    const perCategory = Math.max(1, Math.ceil(amount / categories.length));
+    const supply = categories.reduce((sum, catId) => {
+        const count = counts[catId];
+        if (!count) return sum + perCategory;
+        return sum + (count[difficulty || 'total'] >= perCategory ? perCategory : 0);
+    }, 0);
+    return Math.min(amount, supply);
+};
+
+// How many Open Trivia DB questions the chosen categories fall short by; the rest come from any category.
+const estimateCategoryShortfall = (settings, counts) => {
+    const supply = estimateCategorySupply(settings, counts);
+    return { supply, shortfall: settings.source === 'opentdb' ? settings.amount - supply : 0 };
+};
+
+const useCountdown = (deadline) => {
+    const [remaining, setRemaining] = useState(() => deadline ? Math.max(0, deadline - Date.now()) : null);
+    useEffect(() => {
+        if (!deadline) { setRemaining(null); return; }
+        const tick = () => setRemaining(Math.max(0, deadline - Date.now()));
+        tick();
+        const interval = setInterval(tick, 250);
+        return () => clearInterval(interval);
+    }, [deadline]);
+    return remaining;
+};
+
+// Keyboard play: 1-4 or A-D pick an answer (an undefined slot can't be picked) and Enter moves on. Keys typed
+// into fields, pressed inside dialogs or Enter on a focused button are left to the browser.
+const ANSWER_LETTERS = ['A', 'B', 'C', 'D'];
+const useAnswerKeys = ({ answers, onAnswer, onNext, enabled = true }) => {
+    useEffect(() => {
+        if (!enabled) return;
+        const handleKeyDown = (e) => {
+            if (e.altKey || e.ctrlKey || e.metaKey || e.target.closest?.('input, textarea, select, [role="dialog"]')) return;
+            if (e.key === 'Enter') {
+                if (!onNext || e.target.closest?.('button, a')) return;
+                e.preventDefault();
+                onNext();
+                return;
+            }
+            const index = Math.max(ANSWER_LETTERS.indexOf(e.key.toUpperCase()), ['1', '2', '3', '4'].indexOf(e.key));
+            if (index >= 0 && answers?.[index] !== undefined) { e.preventDefault(); onAnswer(answers[index]); }
+        };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [answers, onAnswer, onNext, enabled]);
+};
+
+// --- ROOM HELPERS ---
+// Rooms never hold correct answers in the readable room document. The answer key lives in a
+// host-only private document (see firestore.rules); players submit only their own answer and
+// the host reveals and scores each question in a transaction.
+const answerKeyPath = (roomId) => `${roomPath(roomId)}/private/answerKey`;
+
+// Accepted alternatives for typed answers are secret too. Firestore can't nest arrays, so they are keyed by question index.
+const splitAnswerKey = (questions) => ({
+    publicQuestions: questions.map(({ correct_answer, incorrect_answers, accepted_answers, ...question }) => question),
+    correctAnswers: questions.map(q => q.correct_answer),
+    acceptedAnswers: Object.fromEntries(questions.flatMap((q, index) => q.accepted_answers?.length ? [[index, q.accepted_answers]] : []))
+});
+
+// Fetches a question set for a room, keeping the room's own Open Trivia DB session across regenerations.
+// Resolves to null when the sources can't supply enough questions. Anyone can read a custom quiz,
+// answers included, so its code goes in the answer key rather than the room's settings.
+const prepareRoomQuestions = async (fetchQuestions, gameSettings, sessionToken = null) => {
+    const tokenStore = createMemoryTokenStore(sessionToken);
+    const notices = [];
+    const questions = await fetchQuestions(gameSettings, { tokenStore, onNotice: message => notices.push(message) });
+    if (questions.length < gameSettings.amount || !questions.every(isValidQuestion)) return null;
+    const { publicQuestions, correctAnswers, acceptedAnswers } = splitAnswerKey(questions);
+    const { quizCode, ...publicSettings } = gameSettings;
+    return {
+        roomFields: { questions: publicQuestions, gameSettings: publicSettings, sessionToken: tokenStore.get(), questionNotice: notices.join(' ') },
+        answerKey: { correctAnswers, acceptedAnswers, ...(quizCode ? { quizCode } : {}) }
+    };
+};
+
+// The host's copy of a room's settings, with the custom quiz code back from the answer key.
+const loadRoomSettings = async (roomId, gameSettings) => {
+    if (gameSettings.source !== 'custom') return gameSettings;
+    const answerKey = await backend.getDoc(answerKeyPath(roomId));
+    return { ...gameSettings, quizCode: answerKey?.quizCode };
+};
+
+// The host reveals and scores each question from the answer key, inside a transaction so it happens once.
+const revealQuestion = (roomId) => backend.runTransaction(async (transaction) => {
+    const room = await transaction.get(roomPath(roomId));
+    const answerKey = await transaction.get(answerKeyPath(roomId));
+    if (!room || !answerKey) throw new Error('Room or answer key is missing.');
+    const changes = revealAnswer(room, answerKey.correctAnswers[room.currentQuestionIndex], answerKey.acceptedAnswers?.[room.currentQuestionIndex]);
+    if (changes) transaction.update(roomPath(roomId), changes);
+});
+
+// 50/50 needs the answer key too, so the host hides the wrong answers for each player who asks.
+const answerFiftyFifty = (roomId) => backend.runTransaction(async (transaction) => {
+    const room = await transaction.get(roomPath(roomId));
+    const answerKey = await transaction.get(answerKeyPath(roomId));
+    if (!room || !answerKey) throw new Error('Room or answer key is missing.');
+    const changes = hideWrongAnswers(room, answerKey.correctAnswers[room.currentQuestionIndex]);
+    if (changes) transaction.update(roomPath(roomId), changes);
+});
+
+// --- ROOM LIFECYCLE ---
+// Every room carries an expiresAt time: ROOM_TTL_MS ahead while it is in use (refreshed whenever a game
+// or round starts) and FINISHED_ROOM_TTL_MS once a game ends. Expired rooms can't be joined, and any
+// signed-in client may delete them (see firestore.rules); clients sweep a few on startup, at most
+// once per ROOM_CLEANUP_INTERVAL_MS, removing the answer key and subcollections with each room. The TTL
+// policy on rooms.expiresAt (firestore.indexes.json) only deletes the room document itself, so a room
+// it catches first leaves those behind.
+const ROOM_TTL_MS = 12 * 60 * 60 * 1000;
+const FINISHED_ROOM_TTL_MS = 2 * 60 * 60 * 1000;
+const ROOM_CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+const ROOM_CLEANUP_KEY = 'trivia-room-cleanup';
+const ROOM_CODE_ATTEMPTS = 5;
+const getRoomExpiry = (ttlMs = ROOM_TTL_MS) => new Date(Date.now() + ttlMs);
+const isRoomExpired = (room) => Boolean(room?.expiresAt) && room.expiresAt < Date.now();
+
+// Creates the room and its answer key under a fresh code. Each code is claimed in a transaction,
+// so two hosts can never end up sharing (or overwriting) one room.
+const createRoom = async (roomFields, answerKey) => {
+    for (let attempt = 0; attempt < ROOM_CODE_ATTEMPTS; attempt++) {
+        const code = generateRoomCode();
+        const created = await backend.runTransaction(async (transaction) => {
+            if (await transaction.get(roomPath(code))) return false;
+            transaction.set(roomPath(code), { ...roomFields, createdAt: backend.serverTimestamp(), expiresAt: getRoomExpiry() });
+            transaction.set(answerKeyPath(code), answerKey);
+            return true;
+        });
+        if (created) return code;
+    }
+    throw new Error('Could not find a free room code.');
+};
+
+// Deletes a room with its answer key, presence, chat and reaction docs. A Firestore batch holds at most
+// 500 writes, so the subcollections go in chunks before the room itself.
+const ROOM_SUBCOLLECTIONS = ['presence', 'chat', 'chatSenders', 'reactions'];
+const BATCH_LIMIT = 500;
+const deleteRoom = async (roomId) => {
+    const subcollections = await Promise.all(ROOM_SUBCOLLECTIONS.map(name => backend.queryCollection(`${roomPath(roomId)}/${name}`)));
+    const paths = subcollections.flatMap((docs, i) => docs.map(({ id }) => `${roomPath(roomId)}/${ROOM_SUBCOLLECTIONS[i]}/${id}`));
+    for (let start = 0; start < paths.length; start += BATCH_LIMIT) {
+        const batch = backend.batch();
+        paths.slice(start, start + BATCH_LIMIT).forEach(path => batch.delete(path));
+        await batch.commit();
+    }
+    const batch = backend.batch();
+    batch.delete(answerKeyPath(roomId));
+    batch.delete(roomPath(roomId));
+    await batch.commit();
+};
+
+// Takes a player out of the room, handing the host role on if they had it. The last player out deletes the room.
+const leaveRoom = async (roomId, userId) => {
+    const isEmpty = await backend.runTransaction(async (transaction) => {
+        const room = await transaction.get(roomPath(roomId));
+        if (!room) return false;
+        const players = room.players.filter(p => p.uid !== userId);
+        if (players.length === room.players.length) return false;
+        if (players.length === 0) return true;
+        transaction.update(roomPath(roomId), { players, playerIds: players.map(p => p.uid), ...(room.hostId === userId ? { hostId: players[0].uid } : {}) });
+        return false;
+    });
+    if (isEmpty) await deleteRoom(roomId);
+    else await backend.deleteDoc(`${roomPath(roomId)}/presence/${userId}`);
+};
+
+const cleanupStaleRooms = async () => {
+    const lastCleanup = Number(localStorage.getItem(ROOM_CLEANUP_KEY)) || 0;
+    if (Date.now() - lastCleanup < ROOM_CLEANUP_INTERVAL_MS) return;
+    localStorage.setItem(ROOM_CLEANUP_KEY, String(Date.now()));
+    const staleRooms = await backend.queryCollection(`artifacts/${appId}/public/data/rooms`, { where: ['expiresAt', '<', new Date()], limit: 20 });
+    await Promise.all(staleRooms.map(room => deleteRoom(room.id).catch(e => console.warn(`Could not clean up room ${room.id}`, e))));
+};
+
+// --- TEAMS ---
+// Team colours are a fixed palette (Tailwind needs the class names spelled out); a team's id is its colour.
+const TEAM_COLORS = {
+    red: { dot: 'bg-red-500', chip: 'bg-red-500/20 border-red-500 text-red-200' },
+    blue: { dot: 'bg-blue-500', chip: 'bg-blue-500/20 border-blue-500 text-blue-200' },
+    green: { dot: 'bg-green-500', chip: 'bg-green-500/20 border-green-500 text-green-200' },
+    yellow: { dot: 'bg-yellow-500', chip: 'bg-yellow-500/20 border-yellow-500 text-yellow-200' }
+};
+const DEFAULT_TEAM_NAMES = { red: 'Red Rockets', blue: 'Blue Sharks', green: 'Green Geckos', yellow: 'Yellow Comets' };
+
+const createTeams = (count, existingTeams = []) => Object.keys(TEAM_COLORS).slice(0, count).map(id => existingTeams.find(t => t.id === id) || { id, name: DEFAULT_TEAM_NAMES[id] });
+const pickSmallestTeam = (players, teams) => teams.reduce((smallest, team) => players.filter(p => p.teamId === team.id).length < players.filter(p => p.teamId === smallest.id).length ? team : smallest, teams[0]).id;
+const assignTeams = (players, teams) => {
+    const teamByUid = Object.fromEntries(shuffleArray(players).map((p, i) => [p.uid, teams[i % teams.length].id]));
+    return players.map(p => ({ ...p, teamId: teamByUid[p.uid] }));
+};
+
+// Team score is either the sum or the average of its members' scores; valueOf picks which score
+// (the round's, or the running total in a series).
+const computeTeamStandings = (players, teams = [], teamScoring = 'sum', valueOf = p => p.score) => teams.map(team => {
+    const members = players.filter(p => p.teamId === team.id);
+    const total = members.reduce((sum, p) => sum + valueOf(p), 0);
+    const score = teamScoring === 'average' ? (members.length ? Math.round(total / members.length * 10) / 10 : 0) : total;
+    return { ...team, members, score };
+}).sort((a, b) => b.score - a.score);
+
+const TeamChip = ({ team, score }) => (
+    <span className={`inline-flex items-center gap-1 border px-2 py-0.5 rounded-full ${TEAM_COLORS[team.id]?.chip || 'bg-gray-700 border-gray-600 text-gray-200'}`}>
+        <span className="font-semibold">{team.name}</span>{score !== undefined && <span className="font-mono">{score}</span>}
+    </span>
+);
+
+// --- PRESENCE ---
+// Every client in a room refreshes its own presence document on a heartbeat. Players whose heartbeat
+// stops (closed tab, lost connection) count as idle and are left out of the "all answered" check.
+const HEARTBEAT_INTERVAL = 15000;
+const IDLE_AFTER_MS = 45000;
+const ACTIVE_ROOM_KEY = 'trivia-active-room';
+
+const useRoomPresence = (roomId, userId, room) => {
+    const [presence, setPresence] = useState({});
+    const [now, setNow] = useState(Date.now());
+
+    useEffect(() => {
+        if (!roomId || !userId) return;
+        const beat = (online = true) => backend.setDoc(`${roomPath(roomId)}/presence/${userId}`, { lastSeen: backend.serverTimestamp(), online }).catch(e => console.warn("Heartbeat failed", e));
+        const handlePageHide = () => beat(false);
+        const handlePageShow = () => beat(true);
+        beat();
+        const interval = setInterval(beat, HEARTBEAT_INTERVAL);
+        window.addEventListener('pagehide', handlePageHide);
+        window.addEventListener('pageshow', handlePageShow);
+        return () => {
+            clearInterval(interval);
+            window.removeEventListener('pagehide', handlePageHide);
+            window.removeEventListener('pageshow', handlePageShow);
+        };
+    }, [roomId, userId]);
+
+    useEffect(() => {
+        if (!roomId) return;
+        return backend.subscribeCollection(`${roomPath(roomId)}/presence`, (presenceDocs) => {
+            setPresence(Object.fromEntries(presenceDocs.map(({ id, online, lastSeen }) => [id, { online, lastSeen: lastSeen || Date.now() }])));
+        }, (e) => console.warn("Could not watch presence", e));
+    }, [roomId]);
+
+    useEffect(() => {
+        const interval = setInterval(() => setNow(Date.now()), HEARTBEAT_INTERVAL / 3);
+        return () => clearInterval(interval);
     }, []);
 
-    return { fetchQuestions };
+    // Players without a presence document yet are given the benefit of the doubt.
+    const isIdle = useCallback((uid) => {
+        const entry = presence[uid];
+        return !!entry && (!entry.online || now - entry.lastSeen > IDLE_AFTER_MS);
+    }, [presence, now]);
+
+    // When the host goes idle, the first active player takes over so the room isn't stuck.
+    useEffect(() => {
+        if (!roomId || !room?.players || !isIdle(room.hostId)) return;
+        const successor = room.players.find(p => !isIdle(p.uid));
+        if (successor?.uid !== userId) return;
+        backend.updateDoc(roomPath(roomId), { hostId: userId }).catch(e => console.warn("Could not take over as host", e));
+    }, [roomId, room, isIdle, userId]);
+
+    return isIdle;
+};
+
+// --- CHAT ---
+// Chat messages and emoji reactions live in subcollections of the room, so they never grow the room document.
+// Each player keeps one reaction document that they overwrite. The rules hold both to a minimum gap per player
+// (messages through a chatSenders document written in the same batch), and the host can turn chat off.
+const CHAT_MAX_LENGTH = 200;
+const CHAT_HISTORY = 50;
+const CHAT_COOLDOWN_MS = 2000;
+const REACTION_COOLDOWN_MS = 2000;
+const REACTION_SHOW_MS = 3000;
+const REACTIONS = [{ emoji: '👏', label: 'applause' }, { emoji: '😂', label: 'laughing' }, { emoji: '😮', label: 'surprised' }, { emoji: '🔥', label: 'fire' }, { emoji: '😭', label: 'crying' }, { emoji: '🤔', label: 'thinking' }];
+const chatPath = (roomId) => `${roomPath(roomId)}/chat`;
+const chatSenderPath = (roomId, uid) => `${roomPath(roomId)}/chatSenders/${uid}`;
+const reactionsPath = (roomId) => `${roomPath(roomId)}/reactions`;
+
+// A short blocklist is enough for a party game. Words only match whole (with common endings), but also when
+// spelled with look-alike digits and symbols or stretched letters, so "Scunthorpe" is fine but "sh1iit" isn't.
+const BLOCKED_WORDS = ['fuck', 'shit', 'bitch', 'cunt', 'asshole', 'bastard', 'dick', 'cock', 'piss', 'slut', 'whore', 'twat', 'wanker', 'prick', 'fag', 'retard'];
+const LOOKALIKES = { a: 'a@4', e: 'e3', i: 'i1!', o: 'o0', s: 's$5', t: 't7' };
+const PROFANITY = new RegExp(`(?<![\\p{L}\\p{N}])(?:${BLOCKED_WORDS.map(word => [...word].map(c => `[${LOOKALIKES[c] || c}]+`).join('')).join('|')})(?:s|es|ed|er|ers|ing|y)?(?![\\p{L}\\p{N}])`, 'giu');
+const cleanChatText = (text) => text.replace(/\s+/g, ' ').trim().slice(0, CHAT_MAX_LENGTH).replace(PROFANITY, word => '*'.repeat(word.length));
+
+const sendChatMessage = async (roomId, userId, name, text) => {
+    const batch = backend.batch();
+    batch.set(`${chatPath(roomId)}/${userId}-${Date.now()}`, { uid: userId, name, text, sentAt: backend.serverTimestamp() });
+    batch.set(chatSenderPath(roomId, userId), { lastSentAt: backend.serverTimestamp() });
+    await batch.commit();
+};
+const sendReaction = (roomId, userId, name, emoji) => backend.setDoc(`${reactionsPath(roomId)}/${userId}`, { name, emoji, reactionId: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`, sentAt: backend.serverTimestamp() });
+
+// The latest messages, oldest first.
+const useRoomChat = (roomId) => {
+    const [messages, setMessages] = useState([]);
+    useEffect(() => {
+        if (!roomId) return;
+        return backend.subscribeCollection(chatPath(roomId), (docs) => {
+            setMessages(docs.filter(m => typeof m.text === 'string').reverse());
+        }, (e) => console.warn("Could not watch chat", e), { orderBy: 'sentAt', direction: 'desc', limit: CHAT_HISTORY });
+    }, [roomId]);
+    return messages;
+};
+
+// Reactions sent since we started watching, each shown for a few seconds. Every reaction carries its own
+// id, so a snapshot that only firms up its server timestamp doesn't show it again. The first snapshot
+// only records what is already there, so rejoining doesn't replay old reactions.
+const useRoomReactions = (roomId) => {
+    const [floating, setFloating] = useState([]);
+    useEffect(() => {
+        if (!roomId) return;
+        let seen = null;
+        const timers = new Set();
+        const unsubscribe = backend.subscribeCollection(reactionsPath(roomId), (docs) => {
+            const fresh = seen ? docs.filter(r => r.reactionId && seen[r.id] !== r.reactionId && REACTIONS.some(({ emoji }) => emoji === r.emoji)) : [];
+            seen = Object.fromEntries(docs.map(r => [r.id, r.reactionId]));
+            fresh.forEach(r => {
+                const reaction = { key: r.reactionId, uid: r.id, emoji: r.emoji, name: r.name };
+                setFloating(prev => [...prev, reaction]);
+                const timer = setTimeout(() => {
+                    timers.delete(timer);
+                    setFloating(prev => prev.filter(f => f !== reaction));
+                }, REACTION_SHOW_MS);
+                timers.add(timer);
+            });
+        }, (e) => console.warn("Could not watch reactions", e));
+        return () => { unsubscribe(); timers.forEach(clearTimeout); setFloating([]); };
+    }, [roomId]);
+    return floating;
+};
+
+// Messages are cleaned when sent and again when shown, since the rules can't check what they say.
+const ChatPanel = ({ room, roomId, userId, isHost }) => {
+    const messages = useRoomChat(roomId);
+    const [text, setText] = useState('');
+    const [error, setError] = useState('');
+    const lastSentRef = useRef(0);
+    const listRef = useRef(null);
+    const isEnabled = room.chatEnabled !== false;
+    const name = room.players?.find(p => p.uid === userId)?.name || 'Player';
+
+    useEffect(() => { if (listRef.current) listRef.current.scrollTop = listRef.current.scrollHeight; }, [messages]);
+
+    const handleSend = async (e) => {
+        e.preventDefault();
+        const cleaned = cleanChatText(text);
+        if (!cleaned) return;
+        if (Date.now() - lastSentRef.current < CHAT_COOLDOWN_MS) { setError('Slow down a little before sending again.'); return; }
+        lastSentRef.current = Date.now();
+        setError('');
+        setText('');
+        try {
+            await sendChatMessage(roomId, userId, name, cleaned);
+        } catch (e) {
+            console.error("Error sending chat message: ", e);
+            setError('Could not send your message.');
+            setText(text);
+        }
+    };
+    const handleToggleChat = () => backend.updateDoc(roomPath(roomId), { chatEnabled: !isEnabled }).catch(e => { console.error("Error changing chat: ", e); setError('Could not change the chat setting.'); });
+
+    return (
+        <div className="w-full bg-gray-800/50 border border-gray-700 rounded-xl p-4 mb-6 text-left">
+            <div className="flex items-center justify-between mb-2">
+                <h3 className="text-white font-bold flex items-center gap-2"><MessageSquare size={18} aria-hidden="true" /> Chat</h3>
+                {isHost && <button onClick={handleToggleChat} className="text-xs bg-gray-700 hover:bg-gray-600 text-gray-200 py-1 px-2 rounded-lg flex items-center gap-1">{isEnabled ? <><MessageSquareOff size={14} aria-hidden="true" /> Turn chat off</> : <><MessageSquare size={14} aria-hidden="true" /> Turn chat on</>}</button>}
+            </div>
+            <div ref={listRef} role="log" aria-label="Chat messages" className="space-y-1 max-h-40 overflow-y-auto text-sm mb-2">
+                {messages.length === 0 && <p className="text-gray-500">No messages yet.</p>}
+                {messages.map(m => <p key={m.id} className="text-gray-200 break-words"><span className={`font-semibold ${m.uid === userId ? 'text-purple-300' : 'text-blue-300'}`}>{m.name}:</span> {cleanChatText(m.text)}</p>)}
+            </div>
+            {isEnabled ? (
+                <form onSubmit={handleSend} className="flex gap-2">
+                    <input type="text" value={text} onChange={e => setText(e.target.value)} maxLength={CHAT_MAX_LENGTH} placeholder="Say something..." aria-label="Chat message" autoComplete="off" className="flex-grow min-w-0 bg-gray-700 text-white placeholder-gray-400 border-2 border-gray-600 rounded-lg py-2 px-3 text-sm focus:outline-none focus:border-purple-500"/>
+                    <button type="submit" disabled={!text.trim()} aria-label="Send" className="bg-purple-600 hover:bg-purple-700 text-white p-2 rounded-lg disabled:opacity-50"><Send size={18} /></button>
+                </form>
+            ) : <p className="text-gray-400 text-sm">The host has turned chat off.</p>}
+            {error && <p className="text-red-400 text-xs mt-2">{error}</p>}
+        </div>
+    );
+};
+
+const ReactionBar = ({ roomId, userId, name }) => {
+    const [isCoolingDown, setIsCoolingDown] = useState(false);
+    const handleReact = (emoji) => {
+        if (isCoolingDown) return;
+        setIsCoolingDown(true);
+        setTimeout(() => setIsCoolingDown(false), REACTION_COOLDOWN_MS);
+        sendReaction(roomId, userId, name, emoji).catch(e => console.warn("Could not send reaction", e));
+    };
+    return (
+        <div className="flex justify-center gap-1 mt-1">
+            {REACTIONS.map(({ emoji, label }) => <button key={emoji} onClick={() => handleReact(emoji)} disabled={isCoolingDown} aria-label={`React with ${label}`} className="text-lg leading-none p-1 rounded-lg hover:bg-gray-700 disabled:opacity-40">{emoji}</button>)}
+        </div>
+    );
+};
+
+// Each reaction rises from above its sender's spot on the scoreboard. They are decoration only, so screen readers skip them.
+const FloatingReactions = ({ reactions, players }) => (
+    <div aria-hidden="true" className="pointer-events-none absolute inset-x-0 bottom-full h-24 overflow-hidden">
+        {reactions.map(r => {
+            const index = Math.max(0, players.findIndex(p => p.uid === r.uid));
+            return (
+                <span key={r.key} style={{ left: `${(index + 0.5) / players.length * 100}%` }} className="absolute bottom-0 -translate-x-1/2">
+                    <span className="flex flex-col items-center animate-float-up motion-reduce:animate-none">
+                        <span className="text-2xl">{r.emoji}</span>
+                        <span className="text-[10px] text-gray-300">{r.name}</span>
+                    </span>
+                </span>
+            );
+        })}
+    </div>
+);
+
+// --- DAILY CHALLENGE ---
+// Everyone gets the same questions in the same answer order each (UTC) day, drawn from the offline pack
+// so the set never depends on what an external API returns. Each player has one attempt per day.
+const DAILY_SETTINGS = { amount: 10, categories: [], difficulty: '', source: 'local', timeLimit: 0 };
+const getDailyKey = () => new Date().toISOString().slice(0, 10);
+const dailyResultsPath = (dateKey) => `artifacts/${appId}/public/data/daily/${dateKey}/results`;
+
+const getDailyQuestions = (dateKey) => {
+    const random = createSeededRandom(`daily-${dateKey}`);
+    return seededShuffle(localQuestionPack.filter(q => getQuestionType(q) === 'multiple'), random).slice(0, DAILY_SETTINGS.amount).map(decodeQuestionText).map(({ question, correct_answer, incorrect_answers, category, difficulty }) => ({
+        question, correct_answer, incorrect_answers, category, difficulty,
+        answers: seededShuffle([correct_answer, ...incorrect_answers], random)
+    }));
+};
+
+// One square per question: right, wrong or unanswered.
+const buildDailyGrid = (history, uid) => history.map(entry => !entry.picks[uid] ? '⬛' : entry.picks[uid] === entry.correctAnswer ? '🟩' : '🟥').join('');
+const buildDailyShareText = (dateKey, result) => `Trivia Daily Challenge ${dateKey}\n${result.correct}/${DAILY_SETTINGS.amount} ${result.grid}\n${window.location.origin}${window.location.pathname}`;
+
+// The attempt this page load started, so a remounted Game (e.g. under StrictMode) doesn't mistake it for an earlier one.
+let startedDailyAttempt = null;
+
+const fetchDailyLeaderboard = (dateKey) => backend.queryCollection(dailyResultsPath(dateKey), { orderBy: 'score', direction: 'desc', limit: 10 });
+
+// --- LEADERBOARDS ---
+// Single-player scores are ranked only against games with the same question count, difficulty and
+// scoring (timed or not). Each board keeps one entry per player per period: their best score in it.
+// Survival boards take the place of the question count with the number of lives ("survival3"), and
+// adaptive boards take the place of the difficulty ("10_adaptive_timed").
+const LEADERBOARD_PERIODS = [
+    { id: 'all', label: 'All Time' },
+    { id: 'weekly', label: 'This Week' },
+    { id: 'daily', label: 'Today' }
+];
+
+// Games with player-written questions (custom or imported) or lifelines stay off the boards.
+const getLeaderboardId = ({ amount, difficulty, timeLimit, source, lifelines, variant = 'classic', lives = DEFAULT_LIVES }) => {
+    if (source === 'custom' || source === 'imported' || lifelines) return null;
+    const length = variant === 'survival' ? `survival${lives}` : amount;
+    const level = variant === 'adaptive' ? 'adaptive' : difficulty || 'any';
+    return `${length}_${level}_${timeLimit ? 'timed' : 'untimed'}`;
+};
+const describeLeaderboard = (boardId) => {
+    const [length, difficulty, scoring] = boardId.split('_');
+    const lives = length.match(/^survival(\d+)$/)?.[1];
+    return `${lives ? `Survival with ${lives} ${lives === '1' ? 'life' : 'lives'}` : `${length} questions`} · ${difficulty === 'any' ? 'any difficulty' : difficulty} · ${scoring}`;
+};
+const getMaxScore = ({ amount, timeLimit, variant }) => (variant === 'survival' ? MAX_SURVIVAL_QUESTIONS : amount) * (timeLimit ? MAX_TIMED_POINTS : 1);
+
+// Periods roll over in UTC; weeks are ISO weeks, so they start on Monday.
+const getPeriodKey = (period, date = new Date()) => {
+    if (period === 'daily') return `d${date.toISOString().slice(0, 10)}`;
+    if (period === 'weekly') {
+        const thursday = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 3 - (date.getUTCDay() + 6) % 7));
+        const week = Math.ceil(((thursday - Date.UTC(thursday.getUTCFullYear(), 0, 1)) / 86400000 + 1) / 7);
+        return `w${thursday.getUTCFullYear()}-${String(week).padStart(2, '0')}`;
+    }
+    return 'all';
+};
+const leaderboardEntriesPath = (boardId, period) => `artifacts/${appId}/public/data/leaderboards/${boardId}/periods/${getPeriodKey(period)}/entries`;
+
+// Records the score in every period it improves on and resolves to the previous all-time best (null if none).
+const submitLeaderboardScore = (boardId, uid, name, score) => backend.runTransaction(async (transaction) => {
+    const paths = LEADERBOARD_PERIODS.map(period => `${leaderboardEntriesPath(boardId, period.id)}/${uid}`);
+    const entries = await Promise.all(paths.map(path => transaction.get(path)));
+    entries.forEach((entry, i) => {
+        if (!entry || score > entry.score) transaction.set(paths[i], { name, score, updatedAt: backend.serverTimestamp() });
+    });
+    return entries[0] ? entries[0].score : null;
+});
+
+// The top 10 of a period plus the player's own entry and rank, which is counted when they aren't in the top 10.
+const fetchLeaderboard = async (boardId, period, uid) => {
+    const entriesPath = leaderboardEntriesPath(boardId, period);
+    const [top, mine] = await Promise.all([backend.queryCollection(entriesPath, { orderBy: 'score', direction: 'desc', limit: 10 }), backend.getDoc(`${entriesPath}/${uid}`)]);
+    let rank = top.findIndex(entry => entry.id === uid) + 1;
+    if (mine && !rank) rank = await backend.countWhere(entriesPath, 'score', '>', mine.score) + 1;
+    return { top, mine, rank };
+};
+
+// --- PROFILES ---
+// Every uid has a profile with a saved name, an avatar and lifetime stats. Each client records its own games.
+const AVATARS = ['🦊', '🦉', '🐼', '🐨', '🦁', '🐯', '🐸', '🐙', '🦄', '🐧', '🐺', '🐵', '🦅', '🐢', '🐝', '🐳'];
+const MAX_RECENT_GAMES = 20;
+const profilePath = (uid) => `artifacts/${appId}/public/data/profiles/${uid}`;
+const saveProfile = (uid, changes) => backend.setDoc(profilePath(uid), { ...changes, updatedAt: backend.serverTimestamp() }, { merge: true });
+
+const emptyStats = () => ({ gamesPlayed: 0, wins: 0, answered: 0, correct: 0, byCategory: {}, byDifficulty: {}, currentStreak: 0, bestStreak: 0, currentWinStreak: 0, bestWinStreak: 0 });
+const tallyAnswer = (counts, key, isCorrect) => ({ ...counts, [key]: { answered: (counts[key]?.answered || 0) + 1, correct: (counts[key]?.correct || 0) + (isCorrect ? 1 : 0) } });
+const getAccuracy = ({ answered, correct }) => answered ? Math.round(correct / answered * 100) : 0;
+
+// Folds one finished game into the stats. Answer streaks run across games; won is null when there was nobody to beat.
+const applyGameToStats = (stats, history, uid, won) => {
+    const next = { ...emptyStats(), ...stats };
+    history.forEach(entry => {
+        // Skipping is free, so skipped questions don't count against accuracy or streaks.
+        if (entry.lifelines?.[uid]?.includes('skip')) return;
+        const isCorrect = entry.picks[uid] === entry.correctAnswer;
+        next.answered += 1;
+        next.correct += isCorrect ? 1 : 0;
+        next.byCategory = tallyAnswer(next.byCategory, entry.category, isCorrect);
+        next.byDifficulty = tallyAnswer(next.byDifficulty, entry.difficulty, isCorrect);
+        next.currentStreak = isCorrect ? next.currentStreak + 1 : 0;
+        next.bestStreak = Math.max(next.bestStreak, next.currentStreak);
+    });
+    next.gamesPlayed += 1;
+    if (won !== null) {
+        next.wins += won ? 1 : 0;
+        next.currentWinStreak = won ? next.currentWinStreak + 1 : 0;
+        next.bestWinStreak = Math.max(next.bestWinStreak, next.currentWinStreak);
+    }
+    return next;
+};
+
+// gameId lets a client that reloads onto a finished game skip recording it twice.
+const recordGame = (uid, { gameId = null, mode, history, score, won }) => backend.runTransaction(async (transaction) => {
+    const profile = await transaction.get(profilePath(uid)) || {};
+    const recentGames = profile.recentGames || [];
+    if (gameId && recentGames.some(game => game.gameId === gameId)) return;
+    const correct = history.filter(entry => entry.picks[uid] === entry.correctAnswer).length;
+    const game = { gameId, mode, score, correct, total: history.length, won, playedAt: Date.now() };
+    transaction.set(profilePath(uid), {
+        stats: applyGameToStats(profile.stats, history, uid, won),
+        recentGames: [game, ...recentGames].slice(0, MAX_RECENT_GAMES),
+        updatedAt: backend.serverTimestamp()
+    }, { merge: true });
+});
+
+// Live profile of the signed-in player: null while loading, {} before their first save.
+const useProfile = (userId) => {
+    const [profile, setProfile] = useState(null);
+    useEffect(() => {
+        if (!userId) return;
+        setProfile(null);
+        return backend.subscribeDoc(profilePath(userId), (data) => setProfile(data || {}), (e) => { console.error("Error loading profile: ", e); setProfile({}); });
+    }, [userId]);
+    return profile;
+};
+
+// --- ROUTING ---
+// Each view has a hash route, so back/forward work and a reload or shared link lands on the same screen.
+// Room routes carry the room code: /room/ABC123/lobby, /game, /results, /present (spectators) and /join (invites).
+const ROOM_ROUTE_VIEWS = { lobby: 'lobby', game: 'game', results: 'results', present: 'presenter', join: 'enterName' };
+const MODE_ROUTE_VIEWS = { settings: 'settings', name: 'enterName', players: 'playerSetup', play: 'game' };
+const PAGE_ROUTE_VIEWS = { multiplayer: 'multiplayerMenu', quiz: 'quizEditor', leaderboards: 'leaderboards', profile: 'profile' };
+
+const routeSegmentFor = (routeViews, view) => Object.keys(routeViews).find(segment => routeViews[segment] === view);
+
+const buildRoute = ({ view, gameMode, roomId, directJoinRoomId }) => {
+    if (view === 'enterName' && directJoinRoomId) return `/room/${directJoinRoomId}/join`;
+    const roomSegment = routeSegmentFor(ROOM_ROUTE_VIEWS, view);
+    if (roomSegment && view !== 'enterName' && roomId && (gameMode === 'multiplayer' || gameMode === 'spectator')) return `/room/${roomId}/${roomSegment}`;
+    const modeSegment = routeSegmentFor(MODE_ROUTE_VIEWS, view);
+    if (modeSegment) return `/${gameMode}/${modeSegment}`;
+    const page = routeSegmentFor(PAGE_ROUTE_VIEWS, view);
+    if (page) return `/${page}`;
+    return view === 'mainMenu' ? '/' : null; // loading and error screens aren't routes
+};
+
+// Also accepts the older ?room=CODE invite links (with &spectate for the presenter).
+const parseRoute = (hash, search = '') => {
+    const legacyRoom = new URLSearchParams(search).get('room');
+    if (legacyRoom) return { roomId: legacyRoom.toUpperCase(), view: new URLSearchParams(search).has('spectate') ? 'presenter' : 'enterName' };
+    const [first, second, third] = hash.replace(/^#\/?/, '').split('/').filter(Boolean);
+    if (first === 'room' && second) return { roomId: second.toUpperCase(), view: ROOM_ROUTE_VIEWS[third] || 'lobby' };
+    if (['single', 'multiplayer', 'daily', 'passAndPlay'].includes(first) && MODE_ROUTE_VIEWS[second]) return { gameMode: first, view: MODE_ROUTE_VIEWS[second] };
+    if (PAGE_ROUTE_VIEWS[first]) return { view: PAGE_ROUTE_VIEWS[first], ...(first === 'multiplayer' ? { gameMode: 'multiplayer' } : {}) };
+    return { view: 'mainMenu' };
 };
 
 // --- UI COMPONENTS ---
 const LoadingSpinner = ({ text = "Loading..."}) => ( <div className="flex flex-col justify-center items-center h-full text-center"><div className="animate-spin rounded-full h-16 w-16 border-t-4 border-b-4 border-purple-500"></div><p className="mt-4 text-white">{text}</p></div> );
-const CustomModal = ({ title, children, onClose }) => ( <div className="fixed inset-0 bg-black bg-opacity-75 flex justify-center items-center z-50 p-4"><div className="bg-gray-800 border border-gray-700 rounded-2xl shadow-lg p-6 sm:p-8 w-full max-w-md text-white text-center"><h2 className="text-2xl font-bold mb-6">{title}</h2><div>{children}</div><button onClick={onClose} className="mt-8 w-full bg-purple-600 hover:bg-purple-700 text-white font-bold py-3 px-4 rounded-lg">Close</button></div></div> );
+// Dialogs take focus when they open, keep Tab inside, close on Escape and hand focus back when they close.
+const FOCUSABLE_SELECTOR = 'button:not([disabled]), [href], input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+const CustomModal = ({ title, children, onClose }) => {
+    const dialogRef = useRef(null);
+    const titleId = useId();
+    useEffect(() => {
+        const previousFocus = document.activeElement;
+        dialogRef.current?.focus();
+        return () => { if (previousFocus?.isConnected) previousFocus.focus(); };
+    }, []);
+    const handleKeyDown = (e) => {
+        if (e.key === 'Escape') { e.stopPropagation(); onClose(); return; }
+        if (e.key !== 'Tab') return;
+        const focusable = [...dialogRef.current.querySelectorAll(FOCUSABLE_SELECTOR)];
+        if (focusable.length === 0) return;
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        if (e.shiftKey && (document.activeElement === first || document.activeElement === dialogRef.current)) { e.preventDefault(); last.focus(); }
+        else if (!e.shiftKey && document.activeElement === last) { e.preventDefault(); first.focus(); }
+    };
+    return ( <div className="fixed inset-0 bg-black bg-opacity-75 flex justify-center items-center z-50 p-4"><div ref={dialogRef} role="dialog" aria-modal="true" aria-labelledby={titleId} tabIndex={-1} onKeyDown={handleKeyDown} className="bg-gray-800 border border-gray-700 rounded-2xl shadow-lg p-6 sm:p-8 w-full max-w-md max-h-[90vh] overflow-y-auto text-white text-center focus:outline-none"><h2 id={titleId} className="text-2xl font-bold mb-6">{title}</h2><div>{children}</div><button onClick={onClose} className="mt-8 w-full bg-purple-600 hover:bg-purple-700 text-white font-bold py-3 px-4 rounded-lg">Close</button></div></div> );
+};
+// Screen readers read out whatever this says whenever it changes.
+const LiveRegion = ({ message }) => <p role="status" aria-live="polite" className="sr-only">{message}</p>;
 
-const MainMenu = ({ setView, setGameMode }) => (
+const MainMenu = ({ setView, setGameMode, profile }) => (
     <div className="w-full max-w-md mx-auto p-4 flex flex-col items-center justify-center h-full text-center">
         <div className="mb-10"><Gamepad2 className="mx-auto h-16 w-16 text-purple-400" /><h1 className="text-5xl font-bold text-white mt-4">Trivia Questions</h1><p className="text-gray-400 mt-2">made by Alf</p></div>
+        {profile?.name && <p className="text-gray-300 mb-4">Welcome back, {profile.avatar} {profile.name}!</p>}
         <div className="w-full space-y-4">
             <button onClick={() => { setGameMode('single'); setView('settings'); }} className="w-full bg-gradient-to-r from-purple-600 to-blue-500 text-white font-bold py-4 px-6 rounded-xl text-lg flex items-center justify-center gap-3"><User /> Single Player</button>
             <button onClick={() => { setGameMode('multiplayer'); setView('settings'); }} className="w-full bg-gradient-to-r from-green-500 to-teal-400 text-white font-bold py-4 px-6 rounded-xl text-lg flex items-center justify-center gap-3"><Users /> Multiplayer</button>
+            <button onClick={() => { setGameMode('passAndPlay'); setView('settings'); }} className="w-full bg-gradient-to-r from-sky-500 to-indigo-500 text-white font-bold py-4 px-6 rounded-xl text-lg flex items-center justify-center gap-3"><Smartphone /> Pass &amp; Play</button>
+            <button onClick={() => { setGameMode('daily'); setView('enterName'); }} className="w-full bg-gradient-to-r from-orange-500 to-pink-500 text-white font-bold py-4 px-6 rounded-xl text-lg flex items-center justify-center gap-3"><CalendarDays /> Daily Challenge</button>
+            <div className="grid grid-cols-3 gap-2">
+                <button onClick={() => setView('quizEditor')} className="bg-gray-700 hover:bg-gray-600 text-white font-bold py-3 px-2 rounded-xl text-sm flex flex-col items-center gap-1"><Pencil size={20} /> Create Quiz</button>
+                <button onClick={() => setView('leaderboards')} className="bg-gray-700 hover:bg-gray-600 text-white font-bold py-3 px-2 rounded-xl text-sm flex flex-col items-center gap-1"><Medal size={20} /> Leaderboards</button>
+                <button onClick={() => setView('profile')} className="bg-gray-700 hover:bg-gray-600 text-white font-bold py-3 px-2 rounded-xl text-sm flex flex-col items-center gap-1"><User size={20} /> Profile</button>
+            </div>
         </div>
     </div>
 );
 
-const SettingsScreen = ({ setView, setGameSettings }) => {
-    const [settings, setSettings] = useState({ amount: 10, difficulty: '' });
+// Single-player ways to play; see the game length rules in gameEngine.js.
+const GAME_VARIANTS = [
+    { id: 'classic', label: 'Classic', description: 'A set number of questions.' },
+    { id: 'survival', label: 'Survival', description: 'Keep going until you run out of lives. Every wrong answer costs one.' },
+    { id: 'adaptive', label: 'Adaptive', description: 'Questions get harder while you get them right and easier when you miss.' }
+];
+const SURVIVAL_LIVES = [1, 3, 5];
+const DEFAULT_LIVES = 3;
+
+// Amount, difficulty, timer and category fields shared by the pre-game settings and the host's lobby editor.
+const QuestionSettingsFields = ({ settings, setSettings, categoryData, showRounds = false, showVariants = false }) => {
+    const { categories, counts, loadCount, isLoading: categoriesLoading, error: categoriesError } = categoryData;
+
+    useEffect(() => { settings.categories.forEach(loadCount); }, [settings.categories, loadCount]);
+
+    // At least one format always stays selected.
+    const toggleFormat = (format) => setSettings(prev => {
+        const formats = getFormats(prev);
+        if (!formats.includes(format)) return { ...prev, formats: [...formats, format] };
+        return formats.length > 1 ? { ...prev, formats: formats.filter(f => f !== format) } : prev;
+    });
+    const toggleCategory = (catId) => setSettings(prev => ({ ...prev, categories: prev.categories.includes(catId) ? prev.categories.filter(id => id !== catId) : [...prev.categories, catId] }));
+    const { supply, shortfall } = estimateCategoryShortfall(settings, counts);
+    const sliderStyle = { background: `linear-gradient(to right, #8b5cf6 0%, #8b5cf6 ${(settings.amount - 5) / (20-5) * 100}%, #4b5563 ${(settings.amount - 5) / (20-5) * 100}%, #4b5563 100%)` };
+
+    const isCustomQuiz = settings.source === 'custom';
+    const variant = showVariants && !isCustomQuiz ? settings.variant || 'classic' : 'classic';
+
+    return (
+        <>
+            {showVariants && !isCustomQuiz && <div>
+                <label className="block text-lg font-medium text-white mb-2">Game Mode</label>
+                <div className="grid grid-cols-3 gap-2">
+                    {GAME_VARIANTS.map(v => ( <button key={v.id} onClick={() => setSettings({...settings, variant: v.id})} className={`py-2 px-3 rounded-lg text-sm font-bold transition-colors ${variant === v.id ? 'bg-purple-600 text-white ring-2 ring-purple-400' : 'bg-gray-700 hover:bg-gray-600 text-gray-300'}`}>{v.label}</button>))}
+                </div>
+                <p className="text-gray-400 text-sm mt-2">{GAME_VARIANTS.find(v => v.id === variant).description}</p>
+            </div>}
+            {variant === 'survival' && <div>
+                <label className="block text-lg font-medium text-white mb-2">Lives</label>
+                <div className="grid grid-cols-3 gap-2">
+                    {SURVIVAL_LIVES.map(lives => ( <button key={lives} onClick={() => setSettings({...settings, lives})} className={`py-2 px-3 rounded-lg text-sm font-bold transition-colors ${(settings.lives || DEFAULT_LIVES) === lives ? 'bg-purple-600 text-white ring-2 ring-purple-400' : 'bg-gray-700 hover:bg-gray-600 text-gray-300'}`}>{lives} {lives === 1 ? 'life' : 'lives'}</button>))}
+                </div>
+            </div>}
+            {!isCustomQuiz && variant !== 'survival' && <div>
+                <label htmlFor="amount" className="block text-lg font-medium text-white mb-2">Number of Questions: <span className="font-bold text-purple-400">{settings.amount}</span></label>
+                <input type="range" id="amount" min="5" max="20" step="1" value={settings.amount} onChange={e => setSettings({...settings, amount: Number(e.target.value)})} className="w-full h-2 bg-gray-700 rounded-lg appearance-none cursor-pointer" style={sliderStyle}/>
+            </div>}
+            {!isCustomQuiz && variant !== 'adaptive' && <div>
+                <label className="block text-lg font-medium text-white mb-2">Difficulty</label>
+                <div className="grid grid-cols-2 sm:grid-cols-4 gap-2">
+                    {['', 'easy', 'medium', 'hard'].map(diff => ( <button key={diff} onClick={() => setSettings({...settings, difficulty: diff})} className={`py-2 px-3 rounded-lg capitalize text-sm font-bold transition-colors ${settings.difficulty === diff ? 'bg-purple-600 text-white ring-2 ring-purple-400' : 'bg-gray-700 hover:bg-gray-600 text-gray-300'}`}>{diff || 'Any'}</button>))}
+                </div>
+            </div>}
+            {!isCustomQuiz && <div>
+                <label className="block text-lg font-medium text-white mb-2">Question Formats</label>
+                <div className="grid grid-cols-3 gap-2">
+                    {QUESTION_FORMATS.map(format => ( <button key={format.id} onClick={() => toggleFormat(format.id)} aria-pressed={getFormats(settings).includes(format.id)} className={`py-2 px-3 rounded-lg text-sm font-bold transition-colors ${getFormats(settings).includes(format.id) ? 'bg-purple-600 text-white ring-2 ring-purple-400' : 'bg-gray-700 hover:bg-gray-600 text-gray-300'}`}>{format.label}</button>))}
+                </div>
+                {settings.source === 'opentdb' && getFormats(settings).includes('text') && <p className="text-gray-400 text-sm mt-2">Open Trivia DB has no typed-answer questions, so those come from the offline pack.</p>}
+            </div>}
+            <div>
+                <label className="block text-lg font-medium text-white mb-2">Time per Question</label>
+                <div className="grid grid-cols-4 gap-2">
+                    {[0, 10, 20, 30].map(seconds => ( <button key={seconds} onClick={() => setSettings({...settings, timeLimit: seconds})} className={`py-2 px-3 rounded-lg text-sm font-bold transition-colors ${settings.timeLimit === seconds ? 'bg-purple-600 text-white ring-2 ring-purple-400' : 'bg-gray-700 hover:bg-gray-600 text-gray-300'}`}>{seconds ? `${seconds}s` : 'Off'}</button>))}
+                </div>
+                {settings.timeLimit > 0 && <p className="text-gray-400 text-sm mt-2">Faster correct answers score up to {MAX_TIMED_POINTS} points.</p>}
+            </div>
+            <div>
+                <label className="block text-lg font-medium text-white mb-2">Lifelines</label>
+                <div className="grid grid-cols-3 gap-2">
+                    {[0, 1, 2].map(uses => ( <button key={uses} onClick={() => setSettings({...settings, lifelines: uses})} className={`py-2 px-3 rounded-lg text-sm font-bold transition-colors ${(settings.lifelines || 0) === uses ? 'bg-purple-600 text-white ring-2 ring-purple-400' : 'bg-gray-700 hover:bg-gray-600 text-gray-300'}`}>{uses ? `${uses} of each` : 'Off'}</button>))}
+                </div>
+                {settings.lifelines > 0 && <p className="text-gray-400 text-sm mt-2">Each player gets 50/50, skip and double points {settings.lifelines === 1 ? 'once' : `${settings.lifelines} times`} a game. Games with lifelines don't count towards the leaderboards.</p>}
+            </div>
+            {showRounds && <div>
+                <label className="block text-lg font-medium text-white mb-2">Rounds</label>
+                <div className="grid grid-cols-3 gap-2">
+                    {[1, 3, 5].map(rounds => ( <button key={rounds} onClick={() => setSettings({...settings, rounds})} className={`py-2 px-3 rounded-lg text-sm font-bold transition-colors ${(settings.rounds || 1) === rounds ? 'bg-purple-600 text-white ring-2 ring-purple-400' : 'bg-gray-700 hover:bg-gray-600 text-gray-300'}`}>{rounds === 1 ? 'Single game' : `Best of ${rounds}`}</button>))}
+                </div>
+            </div>}
+            {settings.source !== 'imported' && !isCustomQuiz && <div>
+                <div className="flex justify-between items-center mb-2">
+                    <label className="block text-lg font-medium text-white">Categories <span className="text-sm text-gray-400">{settings.categories.length ? `(${settings.categories.length} selected)` : '(any)'}</span></label>
+                    {settings.categories.length > 0 && <button onClick={() => setSettings({...settings, categories: []})} className="text-sm text-purple-300 hover:text-purple-200">Clear</button>}
+                </div>
+                {categoriesError && <p className="text-red-400 text-sm mb-2">{categoriesError}</p>}
+                {categoriesLoading ? <p className="text-gray-400 text-sm flex items-center gap-2"><Loader2 size={16} className="animate-spin" /> Loading categories...</p> : (
+                    <div className="grid grid-cols-1 sm:grid-cols-2 gap-1 max-h-48 overflow-y-auto pr-1">
+                        {categories.map(cat => {
+                            const isSelected = settings.categories.includes(cat.id);
+                            const count = counts[cat.id];
+                            return (
+                                <button key={cat.id} onClick={() => toggleCategory(cat.id)} className={`flex items-center gap-2 py-1.5 px-2 rounded-lg text-left text-sm transition-colors ${isSelected ? 'bg-purple-600/40 text-white' : 'bg-gray-700/60 hover:bg-gray-600 text-gray-300'}`}>
+                                    {isSelected ? <CheckSquare size={16} className="flex-shrink-0 text-purple-300" /> : <Square size={16} className="flex-shrink-0" />}
+                                    <span className="flex-grow">{cat.name}</span>
+                                    {isSelected && count && <span className="text-xs text-gray-400 font-mono">{count[settings.difficulty || 'total']}</span>}
+                                </button>
+                            );
+                        })}
+                    </div>
+                )}
+            </div>}
+            {shortfall > 0 && <p className="text-yellow-300 bg-yellow-900/40 p-3 rounded-lg text-sm">The selected categories can only supply about {supply} of {settings.amount} questions at this difficulty. The remaining {shortfall} will be drawn from any category.</p>}
+        </>
+    );
+};
+
+const SettingsScreen = ({ setView, setGameSettings, gameSettings, gameMode }) => {
+    const [settings, setSettings] = useState({ amount: 10, difficulty: '', categories: [], source: 'opentdb', timeLimit: 0, lifelines: 0, ...gameSettings });
+    const categoryData = useCategories();
+    const [importedCount, setImportedCount] = useState(() => loadImportedQuestions().length);
+    const [importMessage, setImportMessage] = useState('');
+    const [quiz, setQuiz] = useState(null);
+    const [quizCodeInput, setQuizCodeInput] = useState(gameSettings.quizCode || '');
+    const [quizMessage, setQuizMessage] = useState('');
+    const [isLoadingQuiz, setIsLoadingQuiz] = useState(false);
+
+    const { shortfall } = estimateCategoryShortfall(settings, categoryData.counts);
+
+    const handleImport = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        try {
+            const { questions, skipped } = parseQuestionFile(file.name, await file.text());
+            if (questions.length === 0) { setImportMessage('No valid questions found in that file.'); return; }
+            const merged = [...loadImportedQuestions(), ...questions];
+            saveImportedQuestions(merged);
+            setImportedCount(merged.length);
+            setImportMessage(`Imported ${questions.length} questions${skipped ? ` (skipped ${skipped} invalid)` : ''}.`);
+        } catch (error) {
+            console.error("Importing questions failed", error);
+            setImportMessage('Could not read that file. Use a JSON list or a CSV with a header row.');
+        }
+    };
+    const handleClearImported = () => { saveImportedQuestions([]); setImportedCount(0); setImportMessage(''); };
+
+    // A custom quiz sets the question count itself; other sources go back to the slider's range.
+    const selectSource = (source) => setSettings(prev => ({ ...prev, source, ...(source !== 'custom' ? { amount: Math.min(20, Math.max(5, prev.amount)) } : quiz ? { amount: quiz.questions.length } : {}) }));
+
+    const loadQuiz = useCallback(async (code) => {
+        if (!code.trim()) return;
+        setIsLoadingQuiz(true);
+        setQuizMessage('');
+        try {
+            const loaded = await loadCustomQuiz(code);
+            if (!loaded) { setQuiz(null); setQuizMessage('No quiz found with that code.'); return; }
+            setQuiz(loaded);
+            setQuizCodeInput(loaded.code);
+            setSettings(prev => ({ ...prev, quizCode: loaded.code, amount: loaded.questions.length, categories: [], difficulty: '' }));
+        } catch (error) {
+            console.error("Loading quiz failed", error);
+            setQuizMessage('Could not load that quiz.');
+        } finally {
+            setIsLoadingQuiz(false);
+        }
+    }, []);
+
+    useEffect(() => { if (gameSettings.source === 'custom' && gameSettings.quizCode) loadQuiz(gameSettings.quizCode); }, [gameSettings.source, gameSettings.quizCode, loadQuiz]);
 
+    // Survival and adaptive play are single-player only, and a custom quiz is always played as written.
     const handleContinue = () => {
-        setGameSettings({ ...settings, categories: [] });
-        setView('enterName');
+        const variant = gameMode === 'single' && settings.source !== 'custom' ? settings.variant || 'classic' : 'classic';
+        setGameSettings({ ...settings, variant, ...(variant === 'survival' ? { lives: settings.lives || DEFAULT_LIVES } : {}) });
+        setView(gameMode === 'passAndPlay' ? 'playerSetup' : 'enterName');
     };
-    
-    const sliderStyle = { background: `linear-gradient(to right, #8b5cf6 0%, #8b5cf6 ${(settings.amount - 5) / (20-5) * 100}%, #4b5563 ${(settings.amount - 5) / (20-5) * 100}%, #4b5563 100%)` };
 
     return (
         <div className="w-full max-w-lg mx-auto p-4 flex flex-col justify-center h-full">
             <div className="text-center mb-6"><SlidersHorizontal className="mx-auto h-12 w-12 text-purple-400" /><h1 className="text-4xl font-bold text-white mt-4">Game Settings</h1></div>
-            <div className="space-y-6 bg-gray-800/50 p-6 rounded-2xl">
+            <div className="space-y-6 bg-gray-800/50 p-6 rounded-2xl max-h-[65vh] overflow-y-auto">
                 <div>
-                    <label htmlFor="amount" className="block text-lg font-medium text-white mb-2">Number of Questions: <span className="font-bold text-purple-400">{settings.amount}</span></label>
-                    <input type="range" id="amount" min="5" max="20" step="1" value={settings.amount} onChange={e => setSettings({...settings, amount: Number(e.target.value)})} className="w-full h-2 bg-gray-700 rounded-lg appearance-none cursor-pointer" style={sliderStyle}/>
-                </div>
-                <div>
-                    <label className="block text-lg font-medium text-white mb-2">Difficulty</label>
+                    <label className="block text-lg font-medium text-white mb-2">Question Source</label>
                     <div className="grid grid-cols-2 sm:grid-cols-4 gap-2">
-                        {['', 'easy', 'medium', 'hard'].map(diff => ( <button key={diff} onClick={() => setSettings({...settings, difficulty: diff})} className={`py-2 px-3 rounded-lg capitalize text-sm font-bold transition-colors ${settings.difficulty === diff ? 'bg-purple-600 text-white ring-2 ring-purple-400' : 'bg-gray-700 hover:bg-gray-600 text-gray-300'}`}>{diff || 'Any'}</button>))}
+                        {Object.entries(questionProviders).map(([id, provider]) => ( <button key={id} onClick={() => selectSource(id)} className={`py-2 px-3 rounded-lg text-sm font-bold transition-colors ${settings.source === id ? 'bg-purple-600 text-white ring-2 ring-purple-400' : 'bg-gray-700 hover:bg-gray-600 text-gray-300'}`}>{provider.label}</button>))}
                     </div>
+                    {settings.source === 'imported' && (
+                        <div className="mt-3 text-sm text-gray-300 space-y-2">
+                            <p>{importedCount} imported questions saved on this device.{importedCount < settings.amount && ' Missing questions will come from the offline pack.'}</p>
+                            <div className="flex gap-2">
+                                <label className="flex-grow text-center bg-gray-700 hover:bg-gray-600 text-white font-bold py-2 px-3 rounded-lg cursor-pointer">Import JSON / CSV<input type="file" accept=".json,.csv,application/json,text/csv" onChange={handleImport} className="hidden" /></label>
+                                {importedCount > 0 && <button onClick={handleClearImported} className="bg-gray-700 hover:bg-gray-600 text-white font-bold py-2 px-3 rounded-lg">Clear</button>}
+                            </div>
+                            {importMessage && <p className="text-purple-300">{importMessage}</p>}
+                        </div>
+                    )}
+                    {settings.source === 'custom' && (
+                        <div className="mt-3 text-sm text-gray-300 space-y-2">
+                            <form onSubmit={(e) => { e.preventDefault(); loadQuiz(quizCodeInput); }} className="flex gap-2">
+                                <input type="text" value={quizCodeInput} onChange={e => setQuizCodeInput(e.target.value.toUpperCase())} placeholder="QUIZ CODE" maxLength="6" className="flex-grow min-w-0 bg-gray-700 text-white placeholder-gray-400 border-2 border-gray-600 rounded-lg py-2 px-3 text-center font-mono tracking-widest uppercase focus:outline-none focus:border-purple-500"/>
+                                <button type="submit" disabled={isLoadingQuiz} className="bg-gray-700 hover:bg-gray-600 text-white font-bold py-2 px-3 rounded-lg disabled:opacity-50">{isLoadingQuiz ? <Loader2 size={18} className="animate-spin" /> : 'Load'}</button>
+                            </form>
+                            {quiz && <p><span className="font-bold text-white">{quiz.title}</span> · {quiz.questions.length} questions</p>}
+                            {quizMessage && <p className="text-red-400">{quizMessage}</p>}
+                            <button onClick={() => setView('quizEditor')} className="w-full bg-gray-700 hover:bg-gray-600 text-white font-bold py-2 px-3 rounded-lg flex items-center justify-center gap-2"><Pencil size={16} /> Write a New Quiz</button>
+                        </div>
+                    )}
                 </div>
+                <QuestionSettingsFields settings={settings} setSettings={setSettings} categoryData={categoryData} showRounds={gameMode === 'multiplayer'} showVariants={gameMode === 'single'} />
             </div>
             <div className="mt-8 flex gap-4">
                 <button onClick={() => setView('mainMenu')} className="w-full bg-gray-600 hover:bg-gray-700 text-white font-bold py-3 px-4 rounded-lg"><ChevronLeft className="inline-block mr-1" size={20}/> Back</button>
-                <button onClick={handleContinue} className="w-full bg-gradient-to-r from-purple-600 to-blue-500 text-white font-bold py-3 px-4 rounded-lg">Continue <ArrowRight className="inline-block ml-1" size={20}/></button>
+                <button onClick={handleContinue} disabled={settings.source === 'custom' && !quiz} className="w-full bg-gradient-to-r from-purple-600 to-blue-500 text-white font-bold py-3 px-4 rounded-lg disabled:opacity-50">{shortfall > 0 ? 'Continue Anyway' : 'Continue'} <ArrowRight className="inline-block ml-1" size={20}/></button>
             </div>
         </div>
     );
 };
 
+// Drafts keep accepted alternatives as one per line, the way they are typed.
+const createBlankQuizQuestion = () => ({ type: 'multiple', question: '', correct_answer: '', incorrect_answers: Array(MAX_WRONG_ANSWERS).fill(''), accepted_answers: '', image: '', category: '', difficulty: 'medium' });
+
+// Trims a draft question and returns it with an error message when it can't be played.
+const cleanQuizQuestion = (draft) => {
+    const type = draft.type || 'multiple';
+    const correctAnswer = draft.correct_answer.trim();
+    const question = {
+        type,
+        question: draft.question.trim(),
+        correct_answer: correctAnswer,
+        incorrect_answers: type === 'boolean' ? BOOLEAN_ANSWERS.filter(a => a !== correctAnswer) : type === 'text' ? [] : draft.incorrect_answers.map(a => a.trim()).filter(Boolean),
+        accepted_answers: type === 'text' ? [...new Set(draft.accepted_answers.split('\n').map(a => a.trim()).filter(a => a && a !== correctAnswer))] : [],
+        category: draft.category.trim() || 'Custom',
+        difficulty: draft.difficulty,
+        ...(draft.image.trim() ? { image: draft.image.trim() } : {})
+    };
+    const answers = [question.correct_answer, ...question.incorrect_answers];
+    const error = !question.question ? 'is missing the question'
+        : !question.correct_answer ? 'is missing the correct answer'
+        : question.image && !isImageUrl(question.image) ? 'needs an image link starting with https://'
+        : type === 'boolean' ? (BOOLEAN_ANSWERS.includes(correctAnswer) ? '' : 'needs True or False as the answer')
+        : type === 'text' ? (question.accepted_answers.length > MAX_ACCEPTED_ANSWERS ? `can accept at most ${MAX_ACCEPTED_ANSWERS} alternatives` : '')
+        : question.incorrect_answers.length === 0 ? 'needs at least one wrong answer'
+        : new Set(answers.map(a => a.toLowerCase())).size !== answers.length ? 'has the same answer twice' : '';
+    return { question, error };
+};
+
+const QuizEditor = ({ setView, userId, setGameMode, setGameSettings }) => {
+    const [title, setTitle] = useState('');
+    const [questions, setQuestions] = useState([createBlankQuizQuestion()]);
+    const [quizCode, setQuizCode] = useState(null);
+    const [savedCode, setSavedCode] = useState(null);
+    const [loadCode, setLoadCode] = useState('');
+    const [message, setMessage] = useState('');
+    const [error, setError] = useState('');
+    const [isSaving, setIsSaving] = useState(false);
+    const [copied, setCopied] = useState(false);
+
+    const updateQuestion = (index, changes) => { setSavedCode(null); setQuestions(prev => prev.map((q, i) => i === index ? { ...q, ...changes } : q)); };
+    const updateWrongAnswer = (index, answerIndex, value) => updateQuestion(index, { incorrect_answers: questions[index].incorrect_answers.map((a, i) => i === answerIndex ? value : a) });
+    const removeQuestion = (index) => { setSavedCode(null); setQuestions(prev => prev.filter((_, i) => i !== index)); };
+
+    // Anyone can load a quiz by its code; only its author saves over it; everyone else saves a copy.
+    const handleLoad = async (e) => {
+        e.preventDefault();
+        setError('');
+        setMessage('');
+        try {
+            const quiz = await loadCustomQuiz(loadCode);
+            if (!quiz) { setError('No quiz found with that code.'); return; }
+            setTitle(quiz.title);
+            setQuestions(quiz.questions.map(q => ({ ...createBlankQuizQuestion(), ...q, incorrect_answers: [...q.incorrect_answers, ...Array(MAX_WRONG_ANSWERS).fill('')].slice(0, MAX_WRONG_ANSWERS), accepted_answers: (q.accepted_answers || []).join('\n'), image: q.image || '' })));
+            setQuizCode(quiz.authorId === userId ? quiz.code : null);
+            setSavedCode(null);
+            setMessage(quiz.authorId === userId ? `Editing quiz ${quiz.code}.` : 'Saving will create your own copy of this quiz.');
+        } catch (e) {
+            console.error("Error loading quiz: ", e);
+            setError('Could not load that quiz.');
+        }
+    };
+
+    const handleSave = async () => {
+        setError('');
+        if (!title.trim()) { setError('Give your quiz a title.'); return; }
+        if (questions.length === 0) { setError('Add at least one question.'); return; }
+        const cleaned = questions.map(cleanQuizQuestion);
+        const invalidIndex = cleaned.findIndex(q => q.error);
+        if (invalidIndex !== -1) { setError(`Question ${invalidIndex + 1} ${cleaned[invalidIndex].error}.`); return; }
+        setIsSaving(true);
+        try {
+            const code = quizCode || await generateQuizCode();
+            await backend.setDoc(quizPath(code), { title: title.trim(), authorId: userId, questions: cleaned.map(q => q.question), updatedAt: backend.serverTimestamp(), ...(quizCode ? {} : { createdAt: backend.serverTimestamp() }) }, { merge: true });
+            setQuizCode(code);
+            setSavedCode(code);
+            setMessage('');
+        } catch (e) {
+            console.error("Error saving quiz: ", e);
+            setError('Could not save the quiz. Please try again.');
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const handleCopy = () => { if (copyTextToClipboard(savedCode)) { setCopied(true); setTimeout(() => setCopied(false), 2000); } };
+    const playQuiz = (mode) => {
+        setGameMode(mode);
+        setGameSettings(prev => ({ ...prev, source: 'custom', quizCode: savedCode, amount: questions.length, categories: [], difficulty: '' }));
+        setView('settings');
+    };
+
+    const inputClass = "w-full bg-gray-700 text-white placeholder-gray-400 border-2 border-gray-600 rounded-lg py-2 px-3 focus:outline-none focus:border-purple-500";
+
+    return (
+        <div className="w-full max-w-2xl mx-auto p-4 flex flex-col justify-center h-full">
+            <div className="text-center mb-6"><Pencil className="mx-auto h-12 w-12 text-purple-400" /><h1 className="text-4xl font-bold text-white mt-4">Quiz Editor</h1></div>
+            <div className="space-y-4 bg-gray-800/50 p-4 sm:p-6 rounded-2xl max-h-[65vh] overflow-y-auto">
+                <form onSubmit={handleLoad} className="flex gap-2">
+                    <input type="text" value={loadCode} onChange={e => setLoadCode(e.target.value.toUpperCase())} placeholder="Edit a quiz by code" maxLength="6" className={`${inputClass} flex-grow min-w-0 font-mono uppercase`}/>
+                    <button type="submit" className="bg-gray-700 hover:bg-gray-600 text-white font-bold py-2 px-4 rounded-lg">Load</button>
+                </form>
+                {message && <p className="text-purple-300 text-sm">{message}</p>}
+                <input type="text" value={title} onChange={e => { setTitle(e.target.value); setSavedCode(null); }} placeholder="Quiz title" maxLength="80" className={`${inputClass} text-lg font-bold`}/>
+                {questions.map((q, index) => (
+                    <div key={index} className="bg-gray-700/40 border border-gray-700 rounded-xl p-3 space-y-2">
+                        <div className="flex justify-between items-center gap-2">
+                            <span className="text-white font-bold">Question {index + 1}</span>
+                            <select value={q.type} onChange={e => updateQuestion(index, { type: e.target.value, correct_answer: e.target.value === 'boolean' ? 'True' : q.type === 'boolean' ? '' : q.correct_answer })} aria-label="Question format" className="ml-auto bg-gray-700 text-white border-2 border-gray-600 rounded-lg py-1 px-2 text-sm focus:outline-none focus:border-purple-500">
+                                {QUESTION_FORMATS.map(format => <option key={format.id} value={format.id}>{format.label}</option>)}
+                            </select>
+                            <button onClick={() => removeQuestion(index)} title="Remove question" className="text-gray-400 hover:text-red-400"><XCircle size={18} /></button>
+                        </div>
+                        <textarea value={q.question} onChange={e => updateQuestion(index, { question: e.target.value })} placeholder="Question" rows="2" className={inputClass}/>
+                        <input type="url" value={q.image} onChange={e => updateQuestion(index, { image: e.target.value })} placeholder="Image link (optional, https://...)" className={`${inputClass} text-sm`}/>
+                        {q.type === 'boolean' ? (
+                            <div className="grid grid-cols-2 gap-2">
+                                {BOOLEAN_ANSWERS.map(answer => <button key={answer} type="button" onClick={() => updateQuestion(index, { correct_answer: answer })} aria-pressed={q.correct_answer === answer} className={`py-2 rounded-lg font-bold flex items-center justify-center gap-2 ${q.correct_answer === answer ? 'bg-green-600 text-white' : 'bg-gray-700 text-gray-300 hover:bg-gray-600'}`}>{q.correct_answer === answer && <CheckCircle size={16} />}{answer}</button>)}
+                            </div>
+                        ) : <div className="flex items-center gap-2"><CheckCircle size={18} className="text-green-400 flex-shrink-0" /><input type="text" value={q.correct_answer} onChange={e => updateQuestion(index, { correct_answer: e.target.value })} placeholder="Correct answer" className={inputClass}/></div>}
+                        {q.type === 'text' && <textarea value={q.accepted_answers} onChange={e => updateQuestion(index, { accepted_answers: e.target.value })} placeholder="Also accept (optional, one per line)" rows="2" className={`${inputClass} text-sm`}/>}
+                        {q.type === 'multiple' && q.incorrect_answers.map((answer, answerIndex) => (
+                            <div key={answerIndex} className="flex items-center gap-2"><XCircle size={18} className="text-red-400 flex-shrink-0" /><input type="text" value={answer} onChange={e => updateWrongAnswer(index, answerIndex, e.target.value)} placeholder={answerIndex === 0 ? 'Wrong answer' : 'Wrong answer (optional)'} className={inputClass}/></div>
+                        ))}
+                        <div className="flex gap-2">
+                            <input type="text" value={q.category} onChange={e => updateQuestion(index, { category: e.target.value })} placeholder="Category" className={`${inputClass} flex-grow min-w-0`}/>
+                            <select value={q.difficulty} onChange={e => updateQuestion(index, { difficulty: e.target.value })} className="bg-gray-700 text-white border-2 border-gray-600 rounded-lg py-2 px-3 capitalize focus:outline-none focus:border-purple-500">
+                                {['easy', 'medium', 'hard'].map(diff => <option key={diff} value={diff}>{diff}</option>)}
+                            </select>
+                        </div>
+                    </div>
+                ))}
+                <button onClick={() => { setSavedCode(null); setQuestions(prev => [...prev, createBlankQuizQuestion()]); }} className="w-full bg-gray-700 hover:bg-gray-600 text-white font-bold py-2 px-4 rounded-lg">+ Add Question</button>
+            </div>
+            {error && <p className="text-red-400 text-center mt-4">{error}</p>}
+            {savedCode && (
+                <div className="mt-4 space-y-3">
+                    <div className="bg-gray-800/50 border border-gray-700 p-3 rounded-xl flex items-center justify-center gap-2"><span className="text-gray-300">Quiz code:</span><span className="text-2xl font-bold text-white tracking-widest font-mono">{savedCode}</span><button onClick={handleCopy} className="bg-gray-700 hover:bg-gray-600 text-white p-2 rounded-lg"><Copy size={18} /></button></div>
+                    <p className="text-sm text-green-400 text-center h-5">{copied ? 'Copied code to clipboard!' : ''}</p>
+                    <div className="flex gap-4">
+                        <button onClick={() => playQuiz('single')} className="w-full bg-gradient-to-r from-purple-600 to-blue-500 text-white font-bold py-3 px-4 rounded-lg flex items-center justify-center gap-2"><User size={20} /> Play Solo</button>
+                        <button onClick={() => playQuiz('multiplayer')} className="w-full bg-gradient-to-r from-green-500 to-teal-400 text-white font-bold py-3 px-4 rounded-lg flex items-center justify-center gap-2"><Users size={20} /> Host a Room</button>
+                    </div>
+                </div>
+            )}
+            <div className="mt-4 flex gap-4">
+                <button onClick={() => setView('mainMenu')} className="w-full bg-gray-600 hover:bg-gray-700 text-white font-bold py-3 px-4 rounded-lg"><ChevronLeft className="inline-block mr-1" size={20}/> Back</button>
+                <button onClick={handleSave} disabled={isSaving} className="w-full bg-gradient-to-r from-purple-600 to-blue-500 text-white font-bold py-3 px-4 rounded-lg flex items-center justify-center gap-2 disabled:opacity-75">{isSaving ? <><Loader2 size={20} className="animate-spin" /> Saving...</> : 'Save Quiz'}</button>
+            </div>
+        </div>
+    );
+};
+
+const StatTile = ({ label, value }) => ( <div className="bg-gray-700/60 rounded-xl p-3 text-center"><p className="text-2xl font-bold text-white">{value}</p><p className="text-xs text-gray-400">{label}</p></div> );
+
+const AccuracyRow = ({ label, counts }) => (
+    <div className="text-sm">
+        <div className="flex justify-between text-gray-300 mb-1"><span className="capitalize">{label}</span><span className="font-mono">{counts.correct}/{counts.answered} · {getAccuracy(counts)}%</span></div>
+        <div className="w-full h-1.5 bg-gray-700 rounded-full overflow-hidden"><div className="h-full bg-purple-500" style={{ width: `${getAccuracy(counts)}%` }}></div></div>
+    </div>
+);
+
+const ProfileScreen = ({ setView, userId, profile }) => {
+    const [name, setName] = useState(profile?.name || '');
+    const [avatar, setAvatar] = useState(profile?.avatar || AVATARS[0]);
+    const [message, setMessage] = useState('');
+    const [error, setError] = useState('');
+    const [account, setAccount] = useState(() => ({ isAnonymous: backend.currentUser()?.isAnonymous ?? true, email: backend.currentUser()?.email || '' }));
+    const [existingCredential, setExistingCredential] = useState(null);
+
+    useEffect(() => {
+        if (!profile) return;
+        setName(prev => prev || profile.name || '');
+        if (profile.avatar) setAvatar(profile.avatar);
+    }, [profile]);
+
+    const stats = { ...emptyStats(), ...profile?.stats };
+    const categories = Object.entries(stats.byCategory).sort((a, b) => b[1].answered - a[1].answered);
+
+    const handleSave = async (e) => {
+        e.preventDefault();
+        setError('');
+        try {
+            await saveProfile(userId, { name: name.trim() || generateRandomName(), avatar });
+            setMessage('Profile saved!');
+            setTimeout(() => setMessage(''), 2000);
+        } catch (e) {
+            console.error("Error saving profile: ", e);
+            setError('Could not save your profile.');
+        }
+    };
+
+    // Linking keeps this uid, so the stats stay with the account on every device it signs in on.
+    const handleLink = async () => {
+        setError('');
+        try {
+            const result = await backend.linkAccount();
+            if (result?.existingCredential) setExistingCredential(result.existingCredential);
+            else if (result) setAccount({ isAnonymous: false, email: result.email });
+        } catch (e) {
+            console.error("Error linking account: ", e);
+            setError('Could not link your account.');
+        }
+    };
+    const handleSwitchAccount = async () => {
+        try { await backend.switchAccount(existingCredential); setView('mainMenu'); } catch (e) { console.error("Error signing in: ", e); setError('Could not sign in to that account.'); }
+    };
+    const handleSignOut = async () => {
+        try { await backend.signOut(); setView('mainMenu'); } catch (e) { console.error("Error signing out: ", e); setError('Could not sign out.'); }
+    };
+
+    if (!profile) return <LoadingSpinner text="Loading profile..." />;
+
+    return (
+        <div className="w-full max-w-lg mx-auto p-4 flex flex-col justify-center h-full">
+            <div className="text-center mb-6"><p className="text-6xl">{avatar}</p><h1 className="text-4xl font-bold text-white mt-2">Your Profile</h1></div>
+            <div className="space-y-6 bg-gray-800/50 p-6 rounded-2xl max-h-[65vh] overflow-y-auto text-white">
+                <form onSubmit={handleSave} className="space-y-3">
+                    <input type="text" value={name} onChange={e => setName(e.target.value)} placeholder="Display name" maxLength="30" className="w-full bg-gray-700 text-white placeholder-gray-400 border-2 border-gray-600 rounded-lg py-2 px-3 text-center text-lg focus:outline-none focus:border-purple-500"/>
+                    <div className="grid grid-cols-8 gap-1">
+                        {AVATARS.map(a => ( <button type="button" key={a} onClick={() => setAvatar(a)} className={`text-2xl p-1 rounded-lg ${avatar === a ? 'bg-purple-600 ring-2 ring-purple-400' : 'bg-gray-700 hover:bg-gray-600'}`}>{a}</button>))}
+                    </div>
+                    <button type="submit" className="w-full bg-gradient-to-r from-purple-600 to-blue-500 text-white font-bold py-2 px-4 rounded-lg">{message || 'Save Profile'}</button>
+                </form>
+                <div>
+                    <h3 className="text-lg font-bold mb-2">Stats</h3>
+                    <div className="grid grid-cols-3 gap-2">
+                        <StatTile label="Games" value={stats.gamesPlayed} />
+                        <StatTile label="Wins" value={stats.wins} />
+                        <StatTile label="Accuracy" value={`${getAccuracy(stats)}%`} />
+                        <StatTile label="Answer streak" value={stats.currentStreak} />
+                        <StatTile label="Best streak" value={stats.bestStreak} />
+                        <StatTile label="Best win streak" value={stats.bestWinStreak} />
+                    </div>
+                </div>
+                {stats.answered > 0 && <div className="space-y-2">
+                    <h3 className="text-lg font-bold">By Difficulty</h3>
+                    {['easy', 'medium', 'hard'].filter(diff => stats.byDifficulty[diff]).map(diff => <AccuracyRow key={diff} label={diff} counts={stats.byDifficulty[diff]} />)}
+                    <h3 className="text-lg font-bold pt-2">By Category</h3>
+                    {categories.map(([category, counts]) => <AccuracyRow key={category} label={category} counts={counts} />)}
+                </div>}
+                {profile.recentGames?.length > 0 && <div>
+                    <h3 className="text-lg font-bold mb-2">Recent Games</h3>
+                    <div className="space-y-1 text-sm">
+                        {profile.recentGames.slice(0, 5).map((game, index) => (
+                            <div key={index} className="bg-gray-700/60 rounded-lg p-2 flex justify-between">
+                                <span className="capitalize">{game.mode} · {new Date(game.playedAt).toLocaleDateString()}</span>
+                                <span className="font-mono">{game.correct}/{game.total} · {game.score} pts{game.won ? ' 🏆' : ''}</span>
+                            </div>
+                        ))}
+                    </div>
+                </div>}
+                <div className="text-sm">
+                    <h3 className="text-lg font-bold mb-2">Account</h3>
+                    {!backend.supportsAccounts ? <p className="text-gray-400">Your profile is saved on this device. Accounts are available when the app is connected to online services.</p> : account.isAnonymous ? <>
+                        <p className="text-gray-400 mb-2">You're playing as a guest. Link a Google account to keep your stats on other devices.</p>
+                        <button onClick={handleLink} className="w-full bg-gray-700 hover:bg-gray-600 text-white font-bold py-2 px-4 rounded-lg flex items-center justify-center gap-2"><LinkIcon size={16} /> Link Google Account</button>
+                        {existingCredential && <div className="mt-3 bg-yellow-900/40 text-yellow-300 p-3 rounded-lg space-y-2">
+                            <p>That Google account already has a profile. Switch to it? This guest profile's stats won't be merged into it.</p>
+                            <button onClick={handleSwitchAccount} className="w-full bg-yellow-600 hover:bg-yellow-700 text-white font-bold py-2 px-4 rounded-lg">Switch Account</button>
+                        </div>}
+                    </> : <>
+                        <p className="text-gray-400 mb-2">Signed in as <span className="text-white">{account.email}</span>.</p>
+                        <button onClick={handleSignOut} className="w-full bg-gray-700 hover:bg-gray-600 text-white font-bold py-2 px-4 rounded-lg flex items-center justify-center gap-2"><LogOut size={16} /> Sign Out</button>
+                    </>}
+                </div>
+                {error && <p className="text-red-400 text-center">{error}</p>}
+            </div>
+            <button onClick={() => setView('mainMenu')} className="mt-8 w-full bg-gray-600 hover:bg-gray-700 text-white font-bold py-3 px-4 rounded-lg"><ChevronLeft className="inline-block mr-1" size={20}/> Back</button>
+        </div>
+    );
+};
+
 const EnterName = ({ setView, setPlayerName, gameMode, playerName, directJoinRoomId, handleJoinRoom }) => {
     const [name, setName] = useState(playerName);
-    const handleSubmit = (e) => { e.preventDefault(); let finalName = name.trim(); if (!finalName) finalName = generateRandomName(); setPlayerName(finalName); if (directJoinRoomId) handleJoinRoom(directJoinRoomId, finalName); else if (gameMode === 'single') setView('game'); else setView('multiplayerMenu'); };
+    const handleSubmit = (e) => { e.preventDefault(); let finalName = name.trim(); if (!finalName) finalName = generateRandomName(); setPlayerName(finalName); if (directJoinRoomId) handleJoinRoom(directJoinRoomId, finalName); else if (gameMode === 'single' || gameMode === 'daily') setView('game'); else setView('multiplayerMenu'); };
     return (
         <div className="w-full max-w-md mx-auto p-4 flex flex-col items-center justify-center h-full">
             <div className="text-center mb-10"><Users className="mx-auto h-12 w-12 text-purple-400" /><h1 className="text-4xl font-bold text-white mt-4">{directJoinRoomId ? "Joining Game" : "Enter Your Name"}</h1><p className="text-gray-400 mt-2">Enter your name or continue with a random one.</p></div>
@@ -138,7 +1577,7 @@ const EnterName = ({ setView, setPlayerName, gameMode, playerName, directJoinRoo
     );
 };
 
-const MultiplayerMenu = ({ setView, setRoomId, userId, playerName, handleJoinRoom, gameSettings }) => {
+const MultiplayerMenu = ({ setView, setRoomId, userId, playerName, handleJoinRoom, handleSpectateRoom, gameSettings }) => {
     const [joinCode, setJoinCode] = useState('');
     const [error, setError] = useState('');
     const [isCreating, setIsCreating] = useState(false);
@@ -147,25 +1586,31 @@ const MultiplayerMenu = ({ setView, setRoomId, userId, playerName, handleJoinRoo
     const handleCreateRoom = async () => {
         setIsCreating(true);
         setError('');
-        const newRoomId = generateRoomCode();
         try {
-            const questions = await fetchQuestions(gameSettings);
-            if (questions.length < gameSettings.amount) {
+            const prepared = await prepareRoomQuestions(fetchQuestions, gameSettings);
+            if (!prepared) {
                 setError('Could not fetch enough questions with these settings. Please try again.');
                 setIsCreating(false);
                 return;
             }
-            const roomDocRef = doc(db, `artifacts/${appId}/public/data/rooms/${newRoomId}`);
-            await setDoc(roomDocRef, {
+            const newRoomId = await createRoom({
                 hostId: userId,
                 players: [{ uid: userId, name: playerName, score: 0 }],
-                questions,
-                gameSettings,
+                playerIds: [userId],
+                ...prepared.roomFields,
+                isLocked: false,
+                maxPlayers: 0,
+                kickedIds: [],
+                teamMode: false,
+                teams: [],
+                teamScoring: 'sum',
+                round: 1,
+                history: [],
                 currentQuestionIndex: 0,
                 gameState: 'waiting',
-                createdAt: new Date(),
-                answers: {}
-            });
+                answers: {},
+                revealedAnswer: null
+            }, prepared.answerKey);
             setRoomId(newRoomId);
             setView('lobby');
         } catch (e) {
@@ -188,7 +1633,10 @@ const MultiplayerMenu = ({ setView, setRoomId, userId, playerName, handleJoinRoo
                 <p className="text-center text-gray-400">OR</p>
                 <form onSubmit={onJoinSubmit} className="w-full space-y-4">
                     <input type="text" value={joinCode} onChange={(e) => setJoinCode(e.target.value.toUpperCase())} placeholder="ENTER ROOM CODE" className="w-full bg-gray-700 text-white placeholder-gray-400 border-2 border-gray-600 rounded-lg py-3 px-4 text-center tracking-widest font-mono text-lg focus:outline-none focus:border-pink-500" maxLength="6" />
-                    <button type="submit" className="w-full bg-gradient-to-r from-pink-600 to-purple-500 text-white font-bold py-3 px-4 rounded-lg disabled:opacity-50" disabled={!joinCode.trim()}>Join Room</button>
+                    <div className="flex gap-2">
+                        <button type="submit" className="w-full bg-gradient-to-r from-pink-600 to-purple-500 text-white font-bold py-3 px-4 rounded-lg disabled:opacity-50" disabled={!joinCode.trim()}>Join Room</button>
+                        <button type="button" onClick={() => handleSpectateRoom(joinCode, setError)} title="Watch on a big screen without playing" className="bg-gray-700 hover:bg-gray-600 text-white font-bold py-3 px-4 rounded-lg flex items-center gap-2 disabled:opacity-50" disabled={!joinCode.trim()}><Eye size={20} /> Watch</button>
+                    </div>
                 </form>
             </div>
              <button type="button" onClick={() => setView('enterName')} className="mt-8 bg-gray-600 hover:bg-gray-700 text-white font-bold py-3 px-4 rounded-lg"><ChevronLeft className="inline-block mr-1" size={20}/> Back</button>
@@ -196,18 +1644,87 @@ const MultiplayerMenu = ({ setView, setRoomId, userId, playerName, handleJoinRoo
     );
 };
 
+// Lets the host change the question settings; saving fetches a fresh question set for the room.
+const RoomSettingsEditor = ({ gameSettings, onSave, onCancel, isSaving }) => {
+    const [settings, setSettings] = useState({ amount: 10, difficulty: '', categories: [], source: 'opentdb', timeLimit: 0, lifelines: 0, ...gameSettings });
+    const categoryData = useCategories();
+    return (
+        <div className="w-full bg-gray-800/50 border border-gray-700 rounded-xl p-4 mb-6">
+            <h3 className="text-white font-bold text-lg mb-4 text-center">Room Settings</h3>
+            <div className="space-y-6 max-h-[45vh] overflow-y-auto pr-1">
+                <QuestionSettingsFields settings={settings} setSettings={setSettings} categoryData={categoryData} showRounds />
+            </div>
+            <div className="mt-4 flex gap-3">
+                <button onClick={onCancel} disabled={isSaving} className="w-full bg-gray-600 hover:bg-gray-700 text-white font-bold py-2 px-4 rounded-lg disabled:opacity-50">Cancel</button>
+                <button onClick={() => onSave(settings)} disabled={isSaving} className="w-full bg-gradient-to-r from-purple-600 to-blue-500 text-white font-bold py-2 px-4 rounded-lg flex items-center justify-center gap-2 disabled:opacity-75">{isSaving ? <><Loader2 size={18} className="animate-spin" /> Fetching...</> : 'Save & Regenerate'}</button>
+            </div>
+        </div>
+    );
+};
+
+const MAX_PLAYER_OPTIONS = [0, 2, 4, 6, 8, 10, 12, 16, 20];
+
+const TeamControls = ({ room, updateRoom }) => {
+    const teams = room.teams || [];
+    const setTeamMode = (teamMode) => {
+        const newTeams = teamMode ? createTeams(2, teams) : teams;
+        updateRoom({ teamMode, teams: newTeams, ...(teamMode ? { players: assignTeams(room.players, newTeams) } : {}) }, 'Could not change team mode');
+    };
+    const setTeamCount = (count) => {
+        const newTeams = createTeams(count, teams);
+        updateRoom({ teams: newTeams, players: assignTeams(room.players, newTeams) }, 'Could not change the teams');
+    };
+    const renameTeam = (id, name) => {
+        if (!name.trim() || name.trim() === teams.find(t => t.id === id)?.name) return;
+        updateRoom({ teams: teams.map(t => t.id === id ? { ...t, name: name.trim() } : t) }, 'Could not rename the team');
+    };
+    const optionClass = (isActive) => `py-1 px-2 rounded-lg font-bold capitalize ${isActive ? 'bg-purple-600 text-white' : 'bg-gray-700 hover:bg-gray-600 text-gray-300'}`;
+
+    return (
+        <div className="space-y-3 pt-3 border-t border-gray-700 text-sm">
+            <div className="flex items-center justify-between">
+                <span className="text-gray-300">Team mode</span>
+                <button onClick={() => setTeamMode(!room.teamMode)} className={optionClass(room.teamMode)}>{room.teamMode ? 'On' : 'Off'}</button>
+            </div>
+            {room.teamMode && <>
+                <div className="flex items-center justify-between gap-2 text-gray-300">
+                    <div className="flex items-center gap-1">Teams {[2, 3, 4].map(n => <button key={n} onClick={() => setTeamCount(n)} className={optionClass(teams.length === n)}>{n}</button>)}</div>
+                    <div className="flex items-center gap-1">{['sum', 'average'].map(mode => <button key={mode} onClick={() => updateRoom({ teamScoring: mode }, 'Could not change team scoring')} className={optionClass((room.teamScoring || 'sum') === mode)}>{mode}</button>)}</div>
+                </div>
+                <div className="grid grid-cols-2 gap-2">
+                    {teams.map(team => (
+                        <div key={`${team.id}-${team.name}`} className="flex items-center gap-2">
+                            <span className={`w-3 h-3 rounded-full flex-shrink-0 ${TEAM_COLORS[team.id]?.dot}`}></span>
+                            <input type="text" defaultValue={team.name} maxLength={24} onBlur={e => renameTeam(team.id, e.target.value)} className="w-full bg-gray-700 text-white rounded-lg py-1 px-2 focus:outline-none focus:ring-2 focus:ring-purple-500" />
+                        </div>
+                    ))}
+                </div>
+                <button onClick={() => updateRoom({ players: assignTeams(room.players, teams) }, 'Could not shuffle the teams')} className="w-full bg-gray-700 hover:bg-gray-600 text-white font-bold py-2 rounded-lg flex items-center justify-center gap-2"><RefreshCw size={16} /> Shuffle Teams</button>
+            </>}
+        </div>
+    );
+};
+
 const Lobby = ({ setView, roomId, userId }) => {
     const [room, setRoom] = useState(null);
     const [isHost, setIsHost] = useState(false);
     const [copied, setCopied] = useState('');
     const [error, setError] = useState('');
+    const [actionError, setActionError] = useState('');
+    const [isEditingSettings, setIsEditingSettings] = useState(false);
+    const [isSavingSettings, setIsSavingSettings] = useState(false);
+    const { fetchQuestions } = useTriviaAPI();
+    const isIdle = useRoomPresence(roomId, userId, room);
 
     useEffect(() => {
-        if (!roomId || !db) { setView('multiplayerMenu'); return; }
-        const roomDocRef = doc(db, `artifacts/${appId}/public/data/rooms/${roomId}`);
-        const unsubscribe = onSnapshot(roomDocRef, (doc) => {
-            if (doc.exists()) {
-                const data = doc.data();
+        if (!roomId) { setView('multiplayerMenu'); return; }
+        const unsubscribe = backend.subscribeDoc(roomPath(roomId), (data) => {
+            if (data) {
+                if (data.kickedIds?.includes(userId) && !data.players.some(p => p.uid === userId)) {
+                    setError('You were removed from the room by the host.');
+                    setTimeout(() => { setView('mainMenu'); }, 3000);
+                    return;
+                }
                 setRoom(data);
                 setIsHost(data.hostId === userId);
                 if (data.gameState === 'playing') {
@@ -217,60 +1734,202 @@ const Lobby = ({ setView, roomId, userId }) => {
                 setError('This room no longer exists.');
                 setTimeout(() => { setView('mainMenu'); }, 3000);
             }
-        });
+        }, (e) => { console.error("Error watching room: ", e); setError('Lost connection to the room.'); });
         return () => unsubscribe();
     }, [roomId, userId, setView]);
 
     const handleStartGame = async () => {
         if (!room || room.hostId !== userId) return;
-        const roomDocRef = doc(db, `artifacts/${appId}/public/data/rooms/${roomId}`);
         try {
-            await updateDoc(roomDocRef, { gameState: 'playing' });
+            await backend.updateDoc(roomPath(roomId), { ...startGame(room, Date.now()), expiresAt: getRoomExpiry() });
         } catch (e) {
             console.error("Error starting game: ", e);
             setError('Failed to start the game.');
         }
     };
     
-    const handleLeaveRoom = async () => { if (!room) return; try { const roomDocRef = doc(db, `artifacts/${appId}/public/data/rooms/${roomId}`); const updatedPlayers = room.players.filter(p => p.uid !== userId); if (updatedPlayers.length === 0) { await deleteDoc(roomDocRef); } else { const newHostId = (isHost && updatedPlayers.length > 0) ? updatedPlayers[0].uid : room.hostId; await updateDoc(roomDocRef, { players: updatedPlayers, hostId: newHostId }); } setView('mainMenu'); } catch (e) { console.error("Error leaving room: ", e); setError('Could not leave the room.'); } };
-    const copyToClipboard = (text, type) => { const textArea = document.createElement('textarea'); textArea.value = text; document.body.appendChild(textArea); textArea.select(); try { document.execCommand('copy'); setCopied(type); setTimeout(() => setCopied(''), 2000); } catch (err) { console.error('Failed to copy: ', err); } document.body.removeChild(textArea); };
+    const updateRoom = async (changes, failureMessage) => {
+        if (!room || room.hostId !== userId) return;
+        setActionError('');
+        try {
+            await backend.updateDoc(roomPath(roomId), changes);
+        } catch (e) {
+            console.error(`${failureMessage}: `, e);
+            setActionError(`${failureMessage}.`);
+        }
+    };
+    const handleKickPlayer = (uid) => {
+        const players = room.players.filter(p => p.uid !== uid);
+        updateRoom({ players, playerIds: players.map(p => p.uid), kickedIds: backend.arrayUnion(uid) }, 'Could not remove the player');
+    };
+    const handleTransferHost = (uid) => updateRoom({ hostId: uid }, 'Could not transfer host');
+    const handleToggleLock = () => updateRoom({ isLocked: !room.isLocked }, 'Could not change the room lock');
+    const handleMaxPlayersChange = (maxPlayers) => updateRoom({ maxPlayers }, 'Could not change the player limit');
+    const handleAssignTeam = (uid, teamId) => updateRoom({ players: room.players.map(p => p.uid === uid ? { ...p, teamId } : p) }, 'Could not move the player');
+
+    const handleSaveSettings = async (newSettings) => {
+        setIsSavingSettings(true);
+        setActionError('');
+        try {
+            const prepared = await prepareRoomQuestions(fetchQuestions, await loadRoomSettings(roomId, newSettings), room.sessionToken);
+            if (!prepared) { setActionError('Could not fetch enough questions with these settings.'); return; }
+            const batch = backend.batch();
+            batch.update(roomPath(roomId), prepared.roomFields);
+            batch.set(answerKeyPath(roomId), prepared.answerKey);
+            await batch.commit();
+            setIsEditingSettings(false);
+        } catch (e) {
+            console.error("Error updating room settings: ", e);
+            setActionError('Could not update the room settings.');
+        } finally {
+            setIsSavingSettings(false);
+        }
+    };
+
+    const handleLeaveRoom = async () => { if (!room) return; try { await leaveRoom(roomId, userId); setView('mainMenu'); } catch (e) { console.error("Error leaving room: ", e); setError('Could not leave the room.'); } };
+    const copyToClipboard = (text, type) => { if (copyTextToClipboard(text)) { setCopied(type); setTimeout(() => setCopied(''), 2000); } };
 
     if (error) return <div className="w-full max-w-md mx-auto p-4 flex flex-col items-center justify-center h-full text-white"><XCircle className="h-16 w-16 text-red-500 mb-4" /><h2 className="text-2xl font-bold">{error}</h2><p className="text-gray-400">Redirecting you...</p></div>
     if (!room) return <LoadingSpinner />;
-    const shareLink = `${window.location.origin}${window.location.pathname}?room=${roomId}`;
+    const shareLink = `${window.location.origin}${window.location.pathname}#/room/${roomId}/join`;
+    const { gameSettings = {} } = room;
 
     return (
-        <div className="w-full max-w-lg mx-auto p-4 flex flex-col items-center justify-center h-full">
+        <div className="w-full h-full overflow-y-auto">
+        <div className="w-full max-w-lg mx-auto p-4 flex flex-col items-center justify-center min-h-full">
              <div className="w-full text-center mb-6"><div className="w-20 h-20 mx-auto rounded-full bg-purple-500/20 flex items-center justify-center mb-4"><div className="w-16 h-16 rounded-full bg-purple-500/30 flex items-center justify-center animate-pulse"><Users className="h-8 w-8 text-purple-300"/></div></div><h1 className="text-2xl font-bold text-white">{isHost ? "You are the host!" : "Waiting for host to start..."}</h1><p className="text-gray-400 mt-1">Share the room code or link with your friends!</p></div>
             <div className="bg-gray-800/50 border border-gray-700 p-3 rounded-xl flex items-center justify-center gap-2 mb-2"><span className="text-gray-300">Code:</span><span className="text-2xl font-bold text-white tracking-widest font-mono">{roomId}</span><button onClick={() => copyToClipboard(roomId, 'code')} className="bg-gray-700 hover:bg-gray-600 text-white p-2 rounded-lg"><Copy size={18} /></button></div>
-            <div className="bg-gray-800/50 border border-gray-700 p-3 rounded-xl flex items-center justify-center gap-2 mb-6"><span className="text-gray-300">Link:</span><button onClick={() => copyToClipboard(shareLink, 'link')} className="bg-gray-700 hover:bg-gray-600 text-white p-2 rounded-lg flex items-center gap-2"><LinkIcon size={18} /> Copy Invite Link</button></div>
+            <div className="bg-gray-800/50 border border-gray-700 p-3 rounded-xl flex items-center justify-center gap-2 mb-6"><span className="text-gray-300">Link:</span><button onClick={() => copyToClipboard(shareLink, 'link')} className="bg-gray-700 hover:bg-gray-600 text-white p-2 rounded-lg flex items-center gap-2"><LinkIcon size={18} /> Copy Invite Link</button><button onClick={() => copyToClipboard(`${window.location.origin}${window.location.pathname}#/room/${roomId}/present`, 'presenter link')} title="Open this on a shared screen to show the game without playing" className="bg-gray-700 hover:bg-gray-600 text-white p-2 rounded-lg flex items-center gap-2"><Tv size={18} /> Presenter Link</button></div>
             <p className="text-sm text-green-400 mb-6 h-5 transition-opacity">{copied ? `Copied ${copied} to clipboard!` : ''}</p>
+            {isHost && room.questionNotice && <p className="text-yellow-300 bg-yellow-900/40 p-3 rounded-lg text-sm mb-6">{room.questionNotice}</p>}
+            {actionError && <p className="text-red-400 bg-red-900/50 p-3 rounded-lg text-sm mb-6">{actionError}</p>}
+            {isHost && (isEditingSettings
+                ? <RoomSettingsEditor gameSettings={gameSettings} onSave={handleSaveSettings} onCancel={() => setIsEditingSettings(false)} isSaving={isSavingSettings} />
+                : (
+                    <div className="w-full bg-gray-800/50 border border-gray-700 rounded-xl p-4 mb-6 space-y-3">
+                        <h3 className="text-white font-bold text-lg text-center">Host Controls</h3>
+                        <div className="flex items-center justify-between gap-2 text-sm text-gray-300">
+                            <span>{gameSettings.amount} questions · <span className="capitalize">{gameSettings.difficulty || 'any'}</span> · {gameSettings.categories?.length ? `${gameSettings.categories.length} categories` : 'any category'}{gameSettings.timeLimit ? ` · ${gameSettings.timeLimit}s` : ''}{gameSettings.lifelines ? ' · lifelines' : ''}{gameSettings.rounds > 1 ? ` · best of ${gameSettings.rounds}` : ''}</span>
+                            <button onClick={() => setIsEditingSettings(true)} className="bg-gray-700 hover:bg-gray-600 text-white p-2 rounded-lg flex items-center gap-1 flex-shrink-0"><Pencil size={16} /> Edit</button>
+                        </div>
+                        <div className="flex items-center justify-between gap-2 text-sm">
+                            <button onClick={handleToggleLock} className={`py-2 px-3 rounded-lg font-bold flex items-center gap-2 ${room.isLocked ? 'bg-red-600/60 hover:bg-red-600 text-white' : 'bg-gray-700 hover:bg-gray-600 text-gray-200'}`}>{room.isLocked ? <><Lock size={16} /> Locked</> : <><Unlock size={16} /> Open to join</>}</button>
+                            <label className="text-gray-300 flex items-center gap-2">Max players
+                                <select value={room.maxPlayers || 0} onChange={e => handleMaxPlayersChange(Number(e.target.value))} className="bg-gray-700 text-white rounded-lg py-1.5 px-2">
+                                    {MAX_PLAYER_OPTIONS.filter(n => n === 0 || n >= room.players.length).map(n => <option key={n} value={n}>{n || 'No limit'}</option>)}
+                                </select>
+                            </label>
+                        </div>
+                        <TeamControls room={room} updateRoom={updateRoom} />
+                    </div>
+                )
+            )}
             <div className="w-full bg-gray-800/50 border border-gray-700 rounded-xl p-6 mb-8">
                 <h3 className="text-white font-bold text-lg mb-4 text-center">Players in room ({room.players?.length || 0})</h3>
                 <div className="space-y-3 max-h-48 overflow-y-auto">
                     {room.players && room.players.map(player => (
-                        <div key={player.uid} className="bg-gray-700/50 p-3 rounded-lg flex items-center justify-between">
-                            <span className="text-white font-semibold">{player.name}</span>
-                            {player.uid === room.hostId && <Crown size={20} className="text-yellow-400" />}
+                        <div key={player.uid} className={`bg-gray-700/50 p-3 rounded-lg flex items-center justify-between ${isIdle(player.uid) ? 'opacity-50' : ''}`}>
+                            <span className="text-white font-semibold flex items-center gap-2">
+                                {room.teamMode && <span className={`w-3 h-3 rounded-full flex-shrink-0 ${TEAM_COLORS[player.teamId]?.dot || 'bg-gray-500'}`}></span>}
+                                {player.name}{isIdle(player.uid) && <span className="text-xs text-gray-400 font-normal">(idle)</span>}
+                            </span>
+                            <div className="flex items-center gap-2">
+                                {room.teamMode && (isHost
+                                    ? <select value={player.teamId || ''} onChange={e => handleAssignTeam(player.uid, e.target.value)} className="bg-gray-700 text-white text-sm rounded-lg py-1 px-1">{room.teams.map(team => <option key={team.id} value={team.id}>{team.name}</option>)}</select>
+                                    : <span className="text-xs text-gray-300">{room.teams.find(t => t.id === player.teamId)?.name}</span>)}
+                                {isHost && player.uid !== userId && <>
+                                    <button onClick={() => handleTransferHost(player.uid)} title="Make host" className="text-gray-400 hover:text-yellow-400"><Crown size={18} /></button>
+                                    <button onClick={() => handleKickPlayer(player.uid)} title="Remove from room" className="text-gray-400 hover:text-red-400"><UserX size={18} /></button>
+                                </>}
+                                {player.uid === room.hostId && <Crown size={20} className="text-yellow-400" />}
+                            </div>
                         </div>
                     ))}
                 </div>
             </div>
+            <ChatPanel room={room} roomId={roomId} userId={userId} isHost={isHost} />
             <div className="w-full flex flex-col space-y-3">
                 {isHost && (<button onClick={handleStartGame} disabled={!room.players || room.players.length < 1} className="w-full bg-gradient-to-r from-green-500 to-teal-400 text-white font-bold py-4 rounded-xl text-lg flex items-center justify-center gap-3 disabled:opacity-50 disabled:grayscale"><Play /> Start Game</button>)}
                  <button onClick={handleLeaveRoom} className="w-full bg-gray-600 hover:bg-gray-700 text-white font-bold py-3 px-4 rounded-lg"><LogOut className="inline-block mr-2" size={20}/> Leave Room</button>
             </div>
         </div>
+        </div>
+    );
+};
+
+// Answer controls shared by Game and PassAndPlay: true/false gets two wide buttons and typed answers a text box.
+const answerGridClass = (question) => getQuestionType(question) === 'boolean' ? 'grid-cols-2' : 'grid-cols-1 md:grid-cols-2';
+const QuestionImage = ({ question }) => question.image ? <img src={question.image} alt="Picture for this question" referrerPolicy="no-referrer" className="max-h-40 sm:max-h-56 mx-auto rounded-xl mb-4 object-contain" /> : null;
+
+const TypedAnswerForm = ({ onSubmit, disabled = false }) => {
+    const [text, setText] = useState('');
+    const handleSubmit = (e) => { e.preventDefault(); if (text.trim()) onSubmit(text.trim()); };
+    return (
+        <form onSubmit={handleSubmit} className="flex gap-2">
+            <input type="text" value={text} onChange={e => setText(e.target.value)} disabled={disabled} maxLength={MAX_ANSWER_LENGTH} placeholder="Type your answer" aria-label="Your answer" autoFocus autoComplete="off" className="flex-grow min-w-0 bg-gray-700 text-white placeholder-gray-400 border-2 border-gray-600 rounded-xl py-3 px-4 text-lg focus:outline-none focus:border-purple-500 disabled:opacity-60"/>
+            <button type="submit" disabled={disabled || !text.trim()} className="bg-gradient-to-r from-purple-600 to-blue-500 text-white font-bold py-3 px-5 rounded-xl disabled:opacity-50">Submit</button>
+        </form>
     );
 };
 
-const Game = ({ gameMode, roomId, userId, setView, playerName, gameSettings, setHighScores }) => {
+const LIFELINE_DETAILS = {
+    fiftyFifty: { label: '50/50', icon: Divide },
+    skip: { label: 'Skip', icon: SkipForward },
+    double: { label: 'Double points', icon: Zap }
+};
+// Lifelines already played on this question stay highlighted; the count is how many of each are left.
+const LifelineBar = ({ game, uid, onUse, disabled = false }) => (
+    <div className="flex flex-wrap justify-center gap-2 mb-4">
+        {LIFELINES.map(lifeline => {
+            const { label, icon: Icon } = LIFELINE_DETAILS[lifeline];
+            const isActive = getLifelinesUsed(game, uid).includes(lifeline);
+            return (
+                <button key={lifeline} onClick={() => onUse(lifeline)} disabled={disabled || !canUseLifeline(game, uid, lifeline)} aria-pressed={isActive} className={`flex items-center gap-1 py-1.5 px-3 rounded-lg text-xs sm:text-sm font-bold transition-colors ${isActive ? 'bg-yellow-500/30 text-yellow-200 ring-2 ring-yellow-400' : 'bg-gray-700 hover:bg-gray-600 text-gray-200 disabled:opacity-40 disabled:hover:bg-gray-700'}`}>
+                    <Icon size={16} /> {label} <span className="font-mono text-gray-400">({getLifelinesLeft(game, uid, lifeline)})</span>
+                </button>
+            );
+        })}
+    </div>
+);
+const LifelineBadges = ({ used = [] }) => used.map(lifeline => {
+    const { label, icon: Icon } = LIFELINE_DETAILS[lifeline];
+    return <span key={lifeline} title={label} className="text-yellow-300"><Icon size={14} /></span>;
+});
+
+const TypedAnswerResult = ({ answer, correctAnswer, isCorrect }) => (
+    <div className={`rounded-xl border-2 p-3 sm:p-4 space-y-1 ${isCorrect ? 'bg-green-500/30 border-green-500' : 'bg-red-500/20 border-red-500'}`}>
+        <p className="flex items-center gap-2 font-semibold">{isCorrect ? <CheckCircle size={18} className="text-green-400" /> : <XCircle size={18} className="text-red-400" />} {answer ? <>You answered: {answer}</> : "You didn't answer."}</p>
+        {!isCorrect && <p className="text-gray-200">Correct answer: <span className="font-bold">{correctAnswer}</span></p>}
+    </div>
+);
+
+// Local games hold their own answer key, so they reveal and score each question as soon as it is
+// answered, and answer 50/50 on the spot.
+const revealLocally = (game) => {
+    const question = getCurrentQuestion(game);
+    return applyChanges(game, revealAnswer(game, question.correct_answer, question.accepted_answers));
+};
+
+const playLifelineLocally = (game, uid, lifeline) => {
+    const played = applyChanges(game, playLifeline(game, uid, lifeline, Date.now()));
+    return applyChanges(played, hideWrongAnswers(played, getCurrentQuestion(played).correct_answer));
+};
+
+const Game = ({ gameMode, roomId, userId, setView, playerName, gameSettings }) => {
     const [gameData, setGameData] = useState(null);
     const [selectedAnswer, setSelectedAnswer] = useState(null);
     const [isAnswered, setIsAnswered] = useState(false);
-    const { fetchQuestions } = useTriviaAPI();
+    const { fetchQuestions, notice } = useTriviaAPI();
     const [modalContent, setModalContent] = useState(null);
+    const [isStartingRound, setIsStartingRound] = useState(false);
+    const [roundError, setRoundError] = useState('');
+    const [showReview, setShowReview] = useState(false);
     const gameContainerRef = useRef(null);
+    const remainingMs = useCountdown(gameData?.gameState === 'playing' ? gameData.questionDeadline : null);
+    const isTimeUp = remainingMs === 0;
+    const isLocked = isAnswered || isTimeUp;
+    const isIdle = useRoomPresence(gameMode === 'multiplayer' ? roomId : null, userId, gameMode === 'multiplayer' ? gameData : null);
+    const reactions = useRoomReactions(gameMode === 'multiplayer' ? roomId : null);
     
     // This effect locks the screen height to prevent layout shifts on mobile
     useEffect(() => {
@@ -282,150 +1941,398 @@ const Game = ({ gameMode, roomId, userId, setView, playerName, gameSettings, set
     useEffect(() => {
         const setupGame = async () => {
             if (gameMode === 'multiplayer') {
-                if (!roomId || !db) return;
-                const roomDocRef = doc(db, `artifacts/${appId}/public/data/rooms/${roomId}`);
-                return onSnapshot(roomDocRef, (doc) => {
-                    if (doc.exists()) {
-                        const data = doc.data();
+                if (!roomId) return;
+                return backend.subscribeDoc(roomPath(roomId), (data) => {
+                    if (data && !hasValidRoomQuestions(data)) {
+                        setModalContent({ title: "Error", body: <p>This room's questions are damaged, so the game can't continue.</p> });
+                    } else if (data) {
                         setGameData(data);
                         const myAnswer = data.answers ? data.answers[userId] : undefined;
                         setIsAnswered(myAnswer !== undefined);
-                        if (myAnswer) setSelectedAnswer(myAnswer);
-                        if(data.gameState === 'finished') setModalContent({ title: "Game Over!", body: <WinnerDisplay players={data.players} gameMode="multiplayer" /> });
+                        if (myAnswer) setSelectedAnswer(myAnswer.answer);
+                        // "Play again" sends the room back to the lobby with the same code and players
+                        setView({ waiting: 'lobby', finished: 'results' }[data.gameState] || 'game');
                     } else { setModalContent({ title: "Error", body: <p>The game room was not found. It might have been deleted.</p> }); }
-                });
+                }, (e) => { console.error("Error watching room: ", e); setModalContent({ title: "Error", body: <p>Lost connection to the game room.</p> }); });
+            } else if (gameMode === 'daily') {
+                if (!userId) return;
+                const dateKey = getDailyKey();
+                const attemptId = `${dateKey}/${userId}`;
+                const resultPath = `${dailyResultsPath(dateKey)}/${userId}`;
+                try {
+                    const existing = await backend.getDoc(resultPath);
+                    if (existing && startedDailyAttempt !== attemptId) {
+                        const leaderboard = await fetchDailyLeaderboard(dateKey);
+                        setModalContent({ title: "Already Played Today", body: existing.finished
+                            ? <DailyResult dateKey={dateKey} result={existing} leaderboard={leaderboard} userId={userId} />
+                            : <p>You already started today's challenge. Come back tomorrow for a new one!</p> });
+                        return;
+                    }
+                    if (!existing) {
+                        startedDailyAttempt = attemptId;
+                        await backend.setDoc(resultPath, { name: playerName, finished: false, startedAt: backend.serverTimestamp() });
+                    }
+                } catch (e) {
+                    console.error("Error starting the daily challenge: ", e);
+                    setModalContent({ title: "Error", body: <p>Could not start today's challenge. Please try again.</p> });
+                    return;
+                }
+                setGameData(createGame({ questions: getDailyQuestions(dateKey), dateKey, players: [{ uid: userId, name: playerName }], gameSettings: DAILY_SETTINGS, now: Date.now() }));
             } else {
-                const questions = await fetchQuestions(gameSettings);
-                if (questions.length < gameSettings.amount) { setModalContent({ title: "Not Enough Questions", body: <p>The API couldn't provide enough questions for your selected criteria. Please try different settings.</p> }); return; }
-                setGameData({ questions, currentQuestionIndex: 0, players: [{ uid: userId, name: playerName, score: 0 }], gameState: 'playing', answers: {} });
+                const opening = getOpeningRequest(gameSettings);
+                const questions = await fetchQuestions({ ...gameSettings, ...opening });
+                if (questions.length < opening.amount) { setModalContent({ title: "Not Enough Questions", body: <p>The API couldn't provide enough questions for your selected criteria. Please try different settings.</p> }); return; }
+                setGameData(createGame({ questions, players: [{ uid: userId, name: playerName }], gameSettings, now: Date.now() }));
             }
         };
         const unsubPromise = setupGame();
         return () => { unsubPromise.then(unsub => unsub && unsub()); };
-    }, [gameMode, roomId, userId, playerName, fetchQuestions, gameSettings]);
+    }, [gameMode, roomId, userId, playerName, fetchQuestions, gameSettings, setView]);
     
     useEffect(() => {
         const checkAndSubmitHighScore = async () => {
-            if (gameMode === 'single' && gameData?.gameState === 'finished' && db) {
+            if (gameMode === 'single' && gameData?.gameState === 'finished') {
                 const myPlayer = gameData.players[0];
-                if (myPlayer.score > 0) {
-                    await addDoc(collection(db, `artifacts/${appId}/public/data/highscores`), { name: myPlayer.name, score: myPlayer.score, createdAt: new Date() });
+                const boardId = getLeaderboardId(gameSettings);
+                // Only a score that reached a leaderboard is compared with the player's best there.
+                let personalBest = null;
+                if (boardId && myPlayer.score > 0 && myPlayer.score <= getMaxScore(gameSettings)) {
+                    try { personalBest = { previous: await submitLeaderboardScore(boardId, userId, myPlayer.name, myPlayer.score) }; } catch (e) { console.error("Error submitting score: ", e); }
                 }
-                const q = query(collection(db, `artifacts/${appId}/public/data/highscores`), orderBy("score", "desc"), limit(10));
-                const querySnapshot = await getDocs(q);
-                const scores = querySnapshot.docs.map(doc => ({id: doc.id, ...doc.data()}));
-                setHighScores(scores);
-                setModalContent({ title: "Game Over!", body: <WinnerDisplay players={gameData.players} gameMode="single" highScores={scores} /> });
+                setModalContent({ title: "Game Over!", body: <>{gameSettings.variant === 'survival' && <p className="text-gray-300 mb-4">You made it through {gameData.history.length} questions.</p>}<WinnerDisplay players={gameData.players} gameMode="single" personalBest={personalBest} />{boardId ? <LeaderboardPanel boardId={boardId} userId={userId} /> : <p className="text-gray-400 text-sm">Games with custom or imported questions or lifelines don't count towards the leaderboards.</p>}<ReviewButton onClick={() => setShowReview(true)} /></> });
             }
         };
         checkAndSubmitHighScore();
-    }, [gameData?.gameState, gameData?.players, gameMode, setHighScores, userId]);
+    }, [gameData?.gameState, gameData?.players, gameData?.history, gameMode, gameSettings, userId]);
+
+    useEffect(() => {
+        if (gameMode !== 'daily' || gameData?.gameState !== 'finished') return;
+        const submitDailyResult = async () => {
+            const result = { score: gameData.players[0].score, correct: gameData.history.filter(entry => entry.picks[userId] === entry.correctAnswer).length, grid: buildDailyGrid(gameData.history, userId) };
+            let leaderboard = [];
+            try {
+                await backend.updateDoc(`${dailyResultsPath(gameData.dateKey)}/${userId}`, { ...result, finished: true, finishedAt: backend.serverTimestamp() });
+                leaderboard = await fetchDailyLeaderboard(gameData.dateKey);
+            } catch (e) { console.error("Error saving the daily result: ", e); }
+            setModalContent({ title: "Daily Challenge Complete!", body: <><DailyResult dateKey={gameData.dateKey} result={result} leaderboard={leaderboard} userId={userId} /><ReviewButton onClick={() => setShowReview(true)} /></> });
+        };
+        submitDailyResult();
+    }, [gameData?.gameState, gameData?.dateKey, gameData?.history, gameData?.players, gameMode, userId]);
+
+    // Every finished game goes into the player's profile stats once. A multiplayer game is won by
+    // finishing with the top score against at least one other player.
+    const recordedGameRef = useRef(false);
+    useEffect(() => {
+        if (gameData?.gameState !== 'finished') { recordedGameRef.current = false; return; }
+        if (recordedGameRef.current || !userId) return;
+        const me = gameData.players.find(p => p.uid === userId);
+        if (!me) return;
+        recordedGameRef.current = true;
+        const history = gameData.history || [];
+        const isMultiplayer = gameMode === 'multiplayer';
+        const won = isMultiplayer && gameData.players.length > 1 ? me.score > 0 && gameData.players.every(p => p.score <= me.score) : null;
+        const gameId = isMultiplayer ? `${roomId}:${gameData.round || 1}:${hashString(history.map(entry => entry.question).join('|'))}` : null;
+        recordGame(userId, { gameId, mode: gameMode, history, score: me.score, won }).catch(e => console.error("Error saving game stats: ", e));
+    }, [gameData?.gameState, gameData?.players, gameData?.history, gameData?.round, gameMode, roomId, userId]);
+
+    // The host marks everyone who missed the deadline as timed out (a null answer), which also covers
+    // players whose clients have gone away. The grace period lets answers sent at the buzzer land first.
+    // Local games time out and reveal straight away.
+    useEffect(() => {
+        // The countdown can still read zero for a moment after moving on, so check the deadline itself.
+        if (!isTimeUp || !gameData?.questionDeadline || gameData.questionDeadline > Date.now()) return;
+        if (gameMode !== 'multiplayer') { setGameData(prev => revealLocally(applyChanges(prev, timeOut(prev, [userId])))); return; }
+        if (gameData.hostId !== userId) return;
+        const changes = timeOut(gameData, gameData.players.map(p => p.uid));
+        if (!changes) return;
+        const timer = setTimeout(() => {
+            backend.updateDoc(roomPath(roomId), changes).catch(e => console.error("Error marking timed out players: ", e));
+        }, TIMEOUT_GRACE_MS);
+        return () => clearTimeout(timer);
+    }, [isTimeUp, gameMode, gameData, userId, roomId]);
+
+    // Once every active player has answered or timed out, the host reveals the answer and scores the question.
+    useEffect(() => {
+        if (gameMode !== 'multiplayer' || gameData?.hostId !== userId || gameData.gameState !== 'playing' || isRevealed(gameData)) return;
+        if (!allAnswered(gameData, uid => !isIdle(uid))) return;
+        revealQuestion(roomId).catch(e => console.error("Error revealing answer: ", e));
+    }, [gameMode, gameData, userId, roomId, isIdle]);
+
+    // Survival and adaptive games fetch more questions as they go. Each request is made once, keyed by how many
+    // questions the game already has; a failed fetch counts as the sources running dry.
+    const requestedQuestionsRef = useRef(null);
+    useEffect(() => {
+        const request = gameMode === 'single' && gameData ? getQuestionRequest(gameData) : null;
+        const requestKey = request && `${gameData.questions.length}:${request.difficulty}`;
+        if (!request || requestedQuestionsRef.current === requestKey) return;
+        requestedQuestionsRef.current = requestKey;
+        fetchQuestions({ ...gameSettings, ...request })
+            .then(questions => setGameData(prev => applyChanges(prev, addQuestions(prev, questions))))
+            .catch(e => { console.error("Error fetching more questions: ", e); setGameData(prev => applyChanges(prev, addQuestions(prev, []))); });
+    }, [gameMode, gameData, gameSettings, fetchQuestions]);
+
+    // The host hides wrong answers for anyone who has played 50/50 on this question.
+    useEffect(() => {
+        if (gameMode !== 'multiplayer' || gameData?.hostId !== userId || gameData.gameState !== 'playing' || isRevealed(gameData)) return;
+        if (!gameData.players.some(p => isWaitingForFiftyFifty(gameData, p.uid))) return;
+        answerFiftyFifty(roomId).catch(e => console.error("Error answering 50/50: ", e));
+    }, [gameMode, gameData, userId, roomId]);
+
+    // The rules turn away answers that arrive after the host has timed us out or revealed the answer,
+    // so a rejected write puts our answer state back to whatever the room recorded.
+    const resyncMyAnswer = async () => {
+        try {
+            const myAnswer = (await backend.getDoc(roomPath(roomId)))?.answers?.[userId];
+            setIsAnswered(myAnswer !== undefined);
+            setSelectedAnswer(myAnswer ? myAnswer.answer : null);
+        } catch (e) { console.error("Error reloading the room: ", e); }
+    };
+
+    const handleLifeline = async (lifeline) => {
+        if (isLocked || !canUseLifeline(gameData, userId, lifeline)) return;
+        if (gameMode === 'multiplayer') {
+            if (lifeline === 'skip') setIsAnswered(true);
+            try { await backend.updateDoc(roomPath(roomId), playLifeline(gameData, userId, lifeline, backend.serverTimestamp())); } catch (e) { console.error("Error using lifeline: ", e); resyncMyAnswer(); }
+            return;
+        }
+        if (lifeline !== 'skip') { setGameData(prev => playLifelineLocally(prev, userId, lifeline)); return; }
+        // With nobody else to wait for, a skip moves a local game straight on to the next question.
+        setGameData(prev => {
+            const skipped = revealLocally(playLifelineLocally(prev, userId, 'skip'));
+            return applyChanges(skipped, advance(skipped, Date.now()));
+        });
+    };
 
     const handleAnswerSelect = async (answer) => {
-        if (isAnswered || gameData?.gameState === 'finished') return;
+        if (isLocked || gameData?.gameState === 'finished') return;
         setSelectedAnswer(answer);
         setIsAnswered(true);
-        const currentQuestion = gameData.questions[gameData.currentQuestionIndex];
-        const isCorrect = answer === currentQuestion.correct_answer;
-        
-        if (isCorrect) {
-            const playerIndex = gameData.players.findIndex(p => p.uid === userId);
-            const updatedPlayers = [...gameData.players];
-            if (playerIndex !== -1) updatedPlayers[playerIndex].score += 1;
-            
-            if (gameMode === 'multiplayer') {
-                const roomDocRef = doc(db, `artifacts/${appId}/public/data/rooms/${roomId}`);
-                await updateDoc(roomDocRef, { players: updatedPlayers, [`answers.${userId}`]: answer });
-            } else {
-                setGameData(prev => ({ ...prev, players: updatedPlayers }));
+
+        if (gameMode === 'multiplayer') {
+            const changes = submitAnswer(gameData, userId, answer, backend.serverTimestamp());
+            if (!changes) return;
+            try {
+                await backend.updateDoc(roomPath(roomId), changes);
+            } catch (e) {
+                console.error("Error submitting answer: ", e);
+                resyncMyAnswer();
             }
-        } else if (gameMode === 'multiplayer') {
-             const roomDocRef = doc(db, `artifacts/${appId}/public/data/rooms/${roomId}`);
-             await updateDoc(roomDocRef, { [`answers.${userId}`]: answer });
+            return;
         }
+        setGameData(prev => revealLocally(applyChanges(prev, submitAnswer(prev, userId, answer, Date.now()))));
     };
     
     const handleNextQuestion = async () => {
-        const nextIndex = gameData.currentQuestionIndex + 1;
-        const isGameOver = nextIndex >= gameData.questions.length;
-
+        const changes = gameData && advance(gameData, Date.now());
+        if (!changes) return;
         if (gameMode === 'multiplayer') {
             if (gameData.hostId !== userId) return;
-            const roomDocRef = doc(db, `artifacts/${appId}/public/data/rooms/${roomId}`);
-            await updateDoc(roomDocRef, isGameOver ? { gameState: 'finished' } : { currentQuestionIndex: nextIndex, answers: {} });
+            try {
+                await backend.updateDoc(roomPath(roomId), changes.gameState === 'finished' ? { ...changes, expiresAt: getRoomExpiry(FINISHED_ROOM_TTL_MS) } : changes);
+            } catch (e) { console.error("Error moving to the next question: ", e); }
         } else {
             setIsAnswered(false);
             setSelectedAnswer(null);
-            if (isGameOver) setGameData(prev => ({...prev, gameState: 'finished' }));
-            else setGameData(prev => ({ ...prev, currentQuestionIndex: nextIndex }));
+            setGameData(prev => applyChanges(prev, advance(prev, Date.now())));
         }
     };
     
+    // Leaving a multiplayer game takes the player out of the room, so the others stop waiting for their answers.
+    const handleLeave = async () => {
+        if (gameMode === 'multiplayer') {
+            try { await leaveRoom(roomId, userId); } catch (e) { console.error("Error leaving room: ", e); }
+        }
+        setView('mainMenu');
+    };
+
+    // The host starts the next round of a series straight away, or after the series sends everyone back
+    // to the lobby to play again. Both keep the room code, the players and the room's question session.
+    const handleStartRound = async (playAgain) => {
+        if (gameData.hostId !== userId) return;
+        setIsStartingRound(true);
+        setRoundError('');
+        try {
+            const prepared = await prepareRoomQuestions(fetchQuestions, await loadRoomSettings(roomId, gameData.gameSettings), gameData.sessionToken);
+            if (!prepared) { setRoundError('Could not fetch enough questions. Please try again.'); return; }
+            const batch = backend.batch();
+            batch.update(roomPath(roomId), { ...startRound(gameData, prepared.roomFields, { playAgain, now: Date.now() }), expiresAt: getRoomExpiry() });
+            batch.set(answerKeyPath(roomId), prepared.answerKey);
+            await batch.commit();
+        } catch (e) {
+            console.error("Error starting the next round: ", e);
+            setRoundError('Could not start the next round.');
+        } finally {
+            setIsStartingRound(false);
+        }
+    };
+
+    const keyQuestion = gameData?.questions?.[gameData.currentQuestionIndex];
+    const keyHiddenAnswers = gameData?.hiddenAnswers?.[userId] || [];
+    useAnswerKeys({
+        answers: keyQuestion && getQuestionType(keyQuestion) !== 'text' ? keyQuestion.answers.map(answer => keyHiddenAnswers.includes(answer) ? undefined : answer) : null,
+        onAnswer: handleAnswerSelect,
+        onNext: handleNextQuestion,
+        enabled: !modalContent && !showReview
+    });
+
+    // Each new question takes focus so screen readers read it out. Typed answers focus their own input instead.
+    const questionHeadingRef = useRef(null);
+    const focusedQuestionRef = useRef(null);
+    useEffect(() => {
+        if (!keyQuestion || focusedQuestionRef.current === keyQuestion.question) return;
+        const isFirstQuestion = focusedQuestionRef.current === null;
+        focusedQuestionRef.current = keyQuestion.question;
+        if (!isFirstQuestion && getQuestionType(keyQuestion) !== 'text') questionHeadingRef.current?.focus();
+    }, [keyQuestion]);
+
     if (!gameData || !gameData.questions || gameData.questions.length === 0) return <LoadingSpinner text="Fetching questions..."/>;
     
-    const currentQuestion = gameData.questions[gameData.currentQuestionIndex];
+    const currentQuestion = getCurrentQuestion(gameData);
     const myPlayer = gameData.players.find(p => p.uid === userId) || gameData.players[0];
     const isHost = gameMode === 'multiplayer' ? gameData.hostId === userId : true;
-    const allPlayersAnswered = gameMode === 'multiplayer' && gameData.players ? gameData.players.length === Object.keys(gameData.answers || {}).length : isAnswered;
+    const allPlayersAnswered = allAnswered(gameData, uid => !isIdle(uid));
+    const timeLimit = gameData.gameSettings?.timeLimit;
+    // The correct answer is only known once the question has been revealed and scored; picks are matched
+    // against it then, so take ours from the revealed history.
+    const correctAnswer = gameData.revealedAnswer;
+    const isAnswerRevealed = isRevealed(gameData);
+    const isMyAnswerCorrect = getRevealedEntry(gameData)?.picks?.[userId] === correctAnswer;
+    const hasLifelines = gameData.gameSettings?.lifelines > 0;
+    const isSkipped = getLifelinesUsed(gameData, userId).includes('skip');
+    const hiddenAnswers = isAnswerRevealed ? [] : gameData.hiddenAnswers?.[userId] || [];
 
     const getAnswerClass = (answer) => {
-        if (!isAnswered) return 'bg-gray-700 hover:bg-gray-600 border-gray-600';
-        const isCorrect = answer === currentQuestion.correct_answer;
+        if (hiddenAnswers.includes(answer)) return 'bg-gray-800 border-gray-700 opacity-20 line-through';
+        if (!isLocked && !isAnswerRevealed) return 'bg-gray-700 hover:bg-gray-600 border-gray-600';
+        if (!isAnswerRevealed) return answer === selectedAnswer ? 'bg-purple-600/50 border-purple-400 ring-2 ring-purple-300' : 'bg-gray-800 border-gray-700 opacity-60';
+        const isCorrect = answer === correctAnswer;
         if(isCorrect) return 'bg-green-500/50 border-green-500 ring-2 ring-green-400';
         if (answer === selectedAnswer && !isCorrect) return 'bg-red-500/50 border-red-500';
         return 'bg-gray-800 border-gray-700 opacity-60';
     };
+    // Spells out what the colours show, for anyone who can't tell them apart.
+    const getAnswerMarker = (answer) => {
+        if (hiddenAnswers.includes(answer)) return <span className="sr-only">(removed by 50/50)</span>;
+        const isMine = answer === selectedAnswer;
+        if (isAnswerRevealed && answer === correctAnswer) return <span className="flex items-center gap-1 text-xs sm:text-sm font-bold flex-shrink-0"><CheckCircle size={18} aria-hidden="true" /> {isMine ? 'Your answer, correct' : 'Correct'}</span>;
+        if (isMine) return <span className="flex items-center gap-1 text-xs sm:text-sm font-bold flex-shrink-0">{isAnswerRevealed && <XCircle size={18} aria-hidden="true" />} {isAnswerRevealed ? 'Your answer, wrong' : 'Your answer'}</span>;
+        return null;
+    };
+    const myPoints = getRevealedEntry(gameData)?.points?.[userId] || 0;
+    const livesNote = gameData.gameSettings?.variant === 'survival' ? ` ${getLivesLeft(gameData, userId)} lives left.` : '';
+    const announcement = !isAnswerRevealed ? (isTimeUp && !isAnswered ? "Time's up!" : '')
+        : isSkipped ? `Skipped. The answer was ${correctAnswer}.`
+        : isMyAnswerCorrect ? `Correct! Plus ${myPoints} ${myPoints === 1 ? 'point' : 'points'}. Your score is ${myPlayer?.score}.${livesNote}`
+        : `${selectedAnswer ? 'Wrong' : "Time's up"}. The answer was ${correctAnswer}. Your score is ${myPlayer?.score}.${livesNote}`;
+    const canAdvance = allPlayersAnswered && isAnswerRevealed && isHost;
     
     return (
         <div ref={gameContainerRef} className="w-full max-w-4xl mx-auto p-2 sm:p-4 grid grid-rows-[auto_1fr_auto] text-white">
-            {modalContent && <CustomModal title={modalContent.title} onClose={() => { setModalContent(null); setView('mainMenu'); }}>{modalContent.body}</CustomModal>}
+            <LiveRegion message={announcement} />
+            {showReview && <CustomModal title="Answer Review" onClose={() => setShowReview(false)}><ReviewScreen history={gameData.history || []} userId={userId} playerCount={gameMode === 'multiplayer' ? gameData.players.length : 0} /></CustomModal>}
+            {modalContent && !showReview && <CustomModal title={modalContent.title} onClose={() => { setModalContent(null); setView('mainMenu'); }}>{modalContent.body}</CustomModal>}
+            {!modalContent && !showReview && gameMode === 'multiplayer' && gameData.gameState === 'finished' && (
+                <CustomModal title={isSeriesOver(gameData) ? "Game Over!" : `Round ${gameData.round || 1} Complete!`} onClose={handleLeave}>
+                    <WinnerDisplay players={gameData.players} gameMode="multiplayer" round={gameData.round || 1} rounds={gameData.gameSettings?.rounds || 1} teams={gameData.teamMode ? gameData.teams : null} teamScoring={gameData.teamScoring} />
+                    <ReviewButton onClick={() => setShowReview(true)} />
+                    <div className="mt-6"><ChatPanel room={gameData} roomId={roomId} userId={userId} isHost={isHost} /></div>
+                    {roundError && <p className="text-red-400 text-sm mt-4">{roundError}</p>}
+                    {isHost ? (
+                        <button onClick={() => handleStartRound(isSeriesOver(gameData))} disabled={isStartingRound} className="mt-6 w-full bg-gradient-to-r from-green-500 to-teal-400 text-white font-bold py-3 px-4 rounded-lg flex items-center justify-center gap-2 disabled:opacity-75">
+                            {isStartingRound ? <><Loader2 className="animate-spin" size={20} /> Fetching questions...</> : isSeriesOver(gameData) ? <><RefreshCw size={20} /> Play Again</> : <><Play size={20} /> Start Round {(gameData.round || 1) + 1}</>}
+                        </button>
+                    ) : <p className="mt-6 text-gray-400 text-sm">Waiting for the host to {isSeriesOver(gameData) ? 'start a new game' : 'start the next round'}...</p>}
+                </CustomModal>
+            )}
             <header className="flex-shrink-0 flex justify-between items-center py-2">
                 <span className="bg-purple-500/20 text-purple-300 font-bold px-3 py-1.5 sm:px-4 sm:py-2 rounded-lg text-xs sm:text-base">Question #{gameData.currentQuestionIndex + 1}</span>
                 <div className="text-center">
                     <p className="font-bold text-lg sm:text-xl">{myPlayer?.name}: {myPlayer?.score}</p>
+                    {gameData.gameSettings?.variant === 'survival' && (
+                        <p className="flex justify-center gap-0.5" aria-label={`${getLivesLeft(gameData, userId)} lives left`}>
+                            {Array.from({ length: gameData.gameSettings.lives }, (_, i) => <Heart key={i} size={14} className={i < getLivesLeft(gameData, userId) ? 'text-red-400 fill-red-400' : 'text-gray-600'} />)}
+                        </p>
+                    )}
                     {gameMode === 'multiplayer' && <p className="text-gray-400 text-xs">Room: {roomId}</p>}
                 </div>
-                <button onClick={() => setView('mainMenu')} className="bg-gray-700 hover:bg-gray-600 font-bold py-1.5 px-3 sm:py-2 sm:px-4 rounded-lg text-xs sm:text-base">Leave</button>
+                <button onClick={handleLeave} className="bg-gray-700 hover:bg-gray-600 font-bold py-1.5 px-3 sm:py-2 sm:px-4 rounded-lg text-xs sm:text-base">Leave</button>
             </header>
             
             <main className="overflow-y-auto py-2">
+                {gameMode === 'single' && notice && gameData.currentQuestionIndex === 0 && <p className="text-yellow-300 bg-yellow-900/40 p-2 rounded-lg text-xs sm:text-sm mb-2">{notice}</p>}
                 <div className="bg-gray-800/50 border border-gray-700 rounded-2xl p-4 sm:p-6 flex flex-col h-full">
                     <div className="flex-shrink-0">
-                      <div className="flex gap-2 mb-2 flex-wrap"><span className="text-xs sm:text-sm bg-blue-500/20 text-blue-300 px-3 py-1 rounded-full" dangerouslySetInnerHTML={{ __html: currentQuestion.category }}></span><span className="text-xs sm:text-sm bg-yellow-500/20 text-yellow-300 px-3 py-1 rounded-full capitalize" dangerouslySetInnerHTML={{ __html: currentQuestion.difficulty }}></span></div>
-                      <h2 className="text-lg sm:text-2xl font-bold mb-4" dangerouslySetInnerHTML={{ __html: currentQuestion.question }}></h2>
-                    </div>
-                    <div className="flex-grow grid grid-cols-1 md:grid-cols-2 gap-2 sm:gap-4 content-center">
-                        {currentQuestion.answers.map((answer, index) => (<button key={index} onClick={() => handleAnswerSelect(answer)} disabled={isAnswered || gameData.gameState === 'finished'} className={`w-full p-3 sm:p-4 rounded-xl border-2 font-semibold text-left transition-all duration-300 text-sm sm:text-base ${getAnswerClass(answer)}`}><span dangerouslySetInnerHTML={{ __html: answer }}></span></button>))}
+                      <div className="flex gap-2 mb-2 flex-wrap"><span className="text-xs sm:text-sm bg-blue-500/20 text-blue-300 px-3 py-1 rounded-full">{currentQuestion.category}</span><span className="text-xs sm:text-sm bg-yellow-500/20 text-yellow-300 px-3 py-1 rounded-full capitalize">{currentQuestion.difficulty}</span></div>
+                      <h2 ref={questionHeadingRef} tabIndex={-1} className="text-lg sm:text-2xl font-bold mb-4 focus:outline-none">{currentQuestion.question}</h2>
+                      <QuestionImage question={currentQuestion} />
+                      {timeLimit > 0 && remainingMs !== null && (
+                          <div className="mb-4">
+                              <div className="flex justify-between text-xs sm:text-sm text-gray-300 mb-1"><span className="flex items-center gap-1"><Timer size={16} /> {isTimeUp ? "Time's up!" : 'Time left'}</span><span className="font-mono">{Math.ceil(remainingMs / 1000)}s</span></div>
+                              <div className="w-full h-2 bg-gray-700 rounded-full overflow-hidden"><div className={`h-full transition-all duration-200 ${remainingMs < timeLimit * 250 ? 'bg-red-500' : 'bg-purple-500'}`} style={{ width: `${remainingMs / (timeLimit * 10)}%` }}></div></div>
+                          </div>
+                      )}
+                      {hasLifelines && !isAnswerRevealed && <LifelineBar game={gameData} uid={userId} onUse={handleLifeline} disabled={isLocked} />}
+                      {isSkipped && !isAnswerRevealed && <p className="text-center text-gray-300 mb-4">You skipped this question.</p>}
                     </div>
+                    {getQuestionType(currentQuestion) === 'text' ? (
+                        <div className="flex-grow flex flex-col justify-center gap-3">
+                            {!isLocked && <TypedAnswerForm key={gameData.currentQuestionIndex} onSubmit={handleAnswerSelect} disabled={gameData.gameState === 'finished'} />}
+                            {isLocked && !isAnswerRevealed && <p className="text-center text-gray-300">{selectedAnswer ? <>Locked in: <span className="font-bold text-white">{selectedAnswer}</span></> : isSkipped ? 'Skipped' : "Time's up!"}</p>}
+                            {isAnswerRevealed && <TypedAnswerResult answer={selectedAnswer} correctAnswer={correctAnswer} isCorrect={isMyAnswerCorrect} />}
+                        </div>
+                    ) : (
+                        <div className={`flex-grow grid ${answerGridClass(currentQuestion)} gap-2 sm:gap-4 content-center`}>
+                            {currentQuestion.answers.map((answer, index) => (
+                                <button key={index} onClick={() => handleAnswerSelect(answer)} disabled={isLocked || gameData.gameState === 'finished' || hiddenAnswers.includes(answer)} aria-keyshortcuts={`${index + 1} ${ANSWER_LETTERS[index]}`} className={`w-full p-3 sm:p-4 rounded-xl border-2 font-semibold transition-all duration-300 flex items-center gap-3 ${getQuestionType(currentQuestion) === 'boolean' ? 'justify-center text-center text-lg sm:text-2xl py-6 sm:py-10' : 'text-left text-sm sm:text-base'} ${getAnswerClass(answer)}`}>
+                                    <kbd aria-hidden="true" className="hidden sm:inline-flex items-center justify-center w-6 h-6 rounded-md bg-gray-900/60 text-xs font-mono text-gray-300 flex-shrink-0">{ANSWER_LETTERS[index]}</kbd>
+                                    <span className="flex-grow">{answer}</span>
+                                    {getAnswerMarker(answer)}
+                                </button>
+                            ))}
+                        </div>
+                    )}
                 </div>
             </main>
             
             <footer className="py-2">
                  {gameMode === 'multiplayer' && gameData?.players?.length > 1 && (
-                    <div className="bg-gray-800/50 border border-gray-700 rounded-xl p-2 mb-2 text-xs">
+                    <div className="relative bg-gray-800/50 border border-gray-700 rounded-xl p-2 mb-2 text-xs">
+                        <FloatingReactions reactions={reactions} players={gameData.players} />
+                        {gameData.teamMode && (
+                            <div className="flex flex-wrap justify-center gap-2 mb-2">
+                                {computeTeamStandings(gameData.players, gameData.teams, gameData.teamScoring).map(team => <TeamChip key={team.id} team={team} score={team.score} />)}
+                            </div>
+                        )}
                         <h4 className="text-white text-center font-bold mb-1">Players</h4>
-                        <div className="flex flex-wrap justify-center gap-x-2 gap-y-1">
+                        <div className="flex flex-wrap justify-center gap-x-2 gap-y-1 max-h-24 overflow-y-auto">
                             {gameData.players.map(p => (
-                                <div key={p.uid} className={`flex items-center gap-1 p-1 rounded-lg transition-all ${gameData.answers && gameData.answers[p.uid] !== undefined ? 'bg-green-500/20' : 'bg-gray-700/50'}`}>
+                                <div key={p.uid} className={`flex items-center gap-1 p-1 rounded-lg transition-all ${gameData.answers && gameData.answers[p.uid] ? 'bg-green-500/20' : 'bg-gray-700/50'} ${isIdle(p.uid) ? 'opacity-50' : ''}`}>
+                                    {gameData.teamMode && <span className={`w-2 h-2 rounded-full ${TEAM_COLORS[p.teamId]?.dot || 'bg-gray-500'}`}></span>}
                                     <span className="text-white">{p.name}</span>
+                                    <LifelineBadges used={getLifelinesUsed(gameData, p.uid)} />
+                                    {isIdle(p.uid) && <span className="text-gray-400 italic">idle</span>}
                                     <span className="text-gray-300 font-mono">({p.score})</span>
-                                    {gameData.answers && gameData.answers[p.uid] !== undefined && <CheckCircle size={14} className="text-green-400"/>}
+                                    {gameData.answers && gameData.answers[p.uid] === null && <><Timer size={14} className="text-gray-400" aria-hidden="true"/><span className="sr-only">timed out</span></>}
+                                    {gameData.answers && gameData.answers[p.uid] && <><CheckCircle size={14} className="text-green-400" aria-hidden="true"/><span className="sr-only">answered</span></>}
                                 </div>
                             ))}
                         </div>
+                        <ReactionBar roomId={roomId} userId={userId} name={myPlayer?.name} />
                     </div>
                 )}
                 <div className="w-full min-h-[58px] flex items-center justify-center">
                      <button
                         onClick={handleNextQuestion}
-                        disabled={!((allPlayersAnswered) && (isHost || gameMode === 'single'))}
+                        disabled={!canAdvance || !isNextQuestionReady(gameData)}
+                        aria-hidden={!canAdvance}
+                        aria-keyshortcuts="Enter"
                         className={`w-full bg-gradient-to-r from-purple-600 to-blue-500 text-white font-bold py-3 px-5 rounded-xl text-lg transition-opacity duration-300 ${
-                            (allPlayersAnswered) && (isHost || gameMode === 'single')
+                            canAdvance
                                 ? 'opacity-100'
-                                : 'opacity-0'
+                                : 'opacity-0 invisible'
                         }`}
                     >
-                        {gameData.currentQuestionIndex >= gameData.questions.length - 1 ? 'Finish Game' : 'Next Question'}
+                        {!isNextQuestionReady(gameData) ? <><Loader2 className="inline-block animate-spin mr-2" size={20} /> Loading next question...</> : isLastQuestion(gameData) ? 'Finish Game' : 'Next Question'}
                     </button>
                 </div>
             </footer>
@@ -434,35 +2341,393 @@ const Game = ({ gameMode, roomId, userId, setView, playerName, gameSettings, set
 };
 
 
-const WinnerDisplay = ({ players, gameMode, highScores = [] }) => {
+// --- PASS AND PLAY ---
+// Several players share one device: each answers in turn behind a hand-off screen, then everyone's picks are revealed together.
+const MIN_LOCAL_PLAYERS = 2;
+const MAX_LOCAL_PLAYERS = 8;
+
+const PlayerSetup = ({ setView, playerName, localPlayers, setLocalPlayers }) => {
+    const [names, setNames] = useState(() => localPlayers.length ? localPlayers : [playerName, '']);
+    const updateName = (index, name) => setNames(prev => prev.map((n, i) => i === index ? name : n));
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        setLocalPlayers(names.map(name => name.trim() || generateRandomName()));
+        setView('game');
+    };
+
+    return (
+        <div className="w-full max-w-md mx-auto p-4 flex flex-col items-center justify-center h-full">
+            <div className="text-center mb-8"><Smartphone className="mx-auto h-12 w-12 text-purple-400" /><h1 className="text-4xl font-bold text-white mt-4">Who's Playing?</h1><p className="text-gray-400 mt-2">Take turns answering on this device.</p></div>
+            <form onSubmit={handleSubmit} className="w-full space-y-4">
+                <div className="space-y-2 max-h-[45vh] overflow-y-auto">
+                    {names.map((name, index) => (
+                        <div key={index} className="flex gap-2">
+                            <input type="text" value={name} onChange={e => updateName(index, e.target.value)} placeholder={`Player ${index + 1}`} maxLength="30" className="flex-grow min-w-0 bg-gray-700 text-white placeholder-gray-400 border-2 border-gray-600 rounded-lg py-2 px-3 focus:outline-none focus:border-purple-500"/>
+                            {names.length > MIN_LOCAL_PLAYERS && <button type="button" onClick={() => setNames(prev => prev.filter((_, i) => i !== index))} title="Remove player" className="bg-gray-700 hover:bg-red-600 text-white px-3 rounded-lg"><UserX size={18} /></button>}
+                        </div>
+                    ))}
+                </div>
+                {names.length < MAX_LOCAL_PLAYERS && <button type="button" onClick={() => setNames(prev => [...prev, ''])} className="w-full bg-gray-700 hover:bg-gray-600 text-white font-bold py-2 px-4 rounded-lg">Add Player</button>}
+                <div className="flex gap-4">
+                    <button type="button" onClick={() => setView('settings')} className="w-full bg-gray-600 hover:bg-gray-700 text-white font-bold py-3 px-4 rounded-lg"><ChevronLeft className="inline-block mr-1" size={20}/> Back</button>
+                    <button type="submit" className="w-full bg-gradient-to-r from-purple-600 to-blue-500 text-white font-bold py-3 px-4 rounded-lg">Start <ArrowRight className="inline-block ml-1" size={20}/></button>
+                </div>
+            </form>
+        </div>
+    );
+};
+
+// Each question goes round the players: a hand-off screen, then that player's turn with its own timer.
+// Picks stay hidden until everyone has answered, then they are scored and revealed together.
+const PassAndPlay = ({ localPlayers, gameSettings, setView }) => {
+    const { fetchQuestions } = useTriviaAPI();
+    const [game, setGame] = useState(null);
+    const [error, setError] = useState('');
+    const [showReview, setShowReview] = useState(false);
+    const remainingMs = useCountdown(game?.phase === 'answering' ? game.turnDeadlines[game.players[game.turn].uid] : null);
+
+    useEffect(() => {
+        let cancelled = false;
+        fetchQuestions(gameSettings).then(questions => {
+            if (cancelled) return;
+            if (questions.length < gameSettings.amount) { setError("Couldn't get enough questions for these settings. Please try different ones."); return; }
+            // Each player answers on their own turn clock (see startTurn), which is what their points are timed against.
+            setGame(createGame({ questions, players: localPlayers.map((name, index) => ({ uid: `local-player-${index}`, name })), gameSettings, now: Date.now(), turn: 0, phase: 'handoff', turnDeadlines: {} }));
+        });
+        return () => { cancelled = true; };
+    }, [fetchQuestions, gameSettings, localPlayers]);
+
+    // A turn ends with a pick or a skip; the last player's turn reveals and scores the question for everyone.
+    const endTurn = useCallback((play) => setGame(prev => {
+        if (prev.phase !== 'answering') return prev;
+        const answered = play(prev, prev.players[prev.turn].uid);
+        if (prev.turn < prev.players.length - 1) return { ...answered, turn: prev.turn + 1, phase: 'handoff' };
+        return { ...revealLocally(answered), phase: 'reveal' };
+    }), []);
+    const submitPick = useCallback((answer) => endTurn((current, uid) => applyChanges(current, submitAnswer(current, uid, answer, Date.now()))), [endTurn]);
+    const handleLifeline = (lifeline) => lifeline === 'skip'
+        ? endTurn((current, uid) => playLifelineLocally(current, uid, 'skip'))
+        : setGame(prev => playLifelineLocally(prev, prev.players[prev.turn].uid, lifeline));
+
+    // A player who runs out of time passes with no answer.
+    useEffect(() => { if (remainingMs === 0) submitPick(null); }, [remainingMs, submitPick]);
+
+    const handleStartTurn = useCallback(() => setGame(prev => prev.phase !== 'handoff' ? prev : { ...applyChanges(prev, startTurn(prev, prev.players[prev.turn].uid, Date.now())), phase: 'answering' }), []);
+    const handleNext = useCallback(() => setGame(prev => {
+        if (prev.phase !== 'reveal') return prev;
+        const next = applyChanges(prev, advance(prev, Date.now()));
+        return { ...next, turn: 0, phase: next.gameState === 'finished' ? 'finished' : 'handoff' };
+    }), []);
+
+    // Enter starts each turn from the hand-off screen and moves on from the results.
+    const turnQuestion = game?.phase === 'answering' ? game.questions[game.currentQuestionIndex] : null;
+    const turnHiddenAnswers = turnQuestion ? game.hiddenAnswers[game.players[game.turn].uid] || [] : [];
+    useAnswerKeys({
+        answers: turnQuestion && getQuestionType(turnQuestion) !== 'text' ? turnQuestion.answers.map(answer => turnHiddenAnswers.includes(answer) ? undefined : answer) : null,
+        onAnswer: submitPick,
+        onNext: game?.phase === 'handoff' ? handleStartTurn : handleNext,
+        enabled: !!game && game.phase !== 'finished'
+    });
+
+    if (error) return <div className="w-full max-w-md mx-auto p-4 flex flex-col items-center justify-center h-full text-white text-center gap-6"><XCircle className="h-16 w-16 text-red-500" /><h2 className="text-2xl font-bold">{error}</h2><button onClick={() => setView('settings')} className="bg-gray-700 hover:bg-gray-600 font-bold py-2 px-6 rounded-lg">Back to Settings</button></div>;
+    if (!game) return <LoadingSpinner text="Fetching questions..." />;
+
+    const currentQuestion = game.questions[game.currentQuestionIndex];
+    const player = game.players[game.turn];
+    const isReveal = game.phase === 'reveal';
+    const { picks = {}, points = {} } = getRevealedEntry(game) || {};
+    const hiddenAnswers = isReveal ? [] : game.hiddenAnswers[player.uid] || [];
+    const getAnswerClass = (answer) => {
+        if (hiddenAnswers.includes(answer)) return 'bg-gray-800 border-gray-700 opacity-20 line-through';
+        if (!isReveal) return 'bg-gray-700 hover:bg-gray-600 border-gray-600';
+        return answer === currentQuestion.correct_answer ? 'bg-green-500/50 border-green-500 ring-2 ring-green-400' : 'bg-gray-800 border-gray-700';
+    };
+    const results = isReveal ? `The answer was ${currentQuestion.correct_answer}. ${game.players.map(p => `${p.name} ${points[p.uid] ? `scored ${points[p.uid]}` : 'scored nothing'}, ${p.score} in total.`).join(' ')}` : '';
+
+    if (game.phase === 'finished') return (
+        <CustomModal title="Game Over!" onClose={() => setView('mainMenu')}>
+            {showReview
+                ? <ReviewScreen history={game.history} userId={game.players[0].uid} playerCount={game.players.length} />
+                : <><WinnerDisplay players={game.players} gameMode="multiplayer" /><ReviewButton onClick={() => setShowReview(true)} /></>}
+        </CustomModal>
+    );
+
+    if (game.phase === 'handoff') return (
+        <div className="w-full max-w-md mx-auto p-4 flex flex-col items-center justify-center h-full text-white text-center gap-4">
+            <p className="text-gray-400">Question {game.currentQuestionIndex + 1} of {game.questions.length}</p>
+            <h1 className="text-4xl font-bold">Pass to {player.name}</h1>
+            <p className="text-gray-400">Everyone else, no peeking!</p>
+            <button onClick={handleStartTurn} aria-keyshortcuts="Enter" className="mt-4 w-full bg-gradient-to-r from-purple-600 to-blue-500 font-bold py-4 px-6 rounded-xl text-lg">I'm {player.name}, show the question</button>
+            <button onClick={() => setView('mainMenu')} className="text-gray-400 hover:text-white text-sm">Quit game</button>
+        </div>
+    );
+
+    return (
+        <div className="w-full max-w-4xl mx-auto p-2 sm:p-4 flex flex-col gap-4 text-white h-full justify-center">
+            <LiveRegion message={results} />
+            <header className="flex justify-between items-center">
+                <span className="bg-purple-500/20 text-purple-300 font-bold px-3 py-1.5 rounded-lg text-sm">Question #{game.currentQuestionIndex + 1}</span>
+                <p className="font-bold text-lg">{isReveal ? 'Results' : `${player.name}'s turn`}</p>
+                <button onClick={() => setView('mainMenu')} className="bg-gray-700 hover:bg-gray-600 font-bold py-1.5 px-3 rounded-lg text-sm">Leave</button>
+            </header>
+            <div className="bg-gray-800/50 border border-gray-700 rounded-2xl p-4 sm:p-6">
+                <h2 className="text-lg sm:text-2xl font-bold mb-4">{currentQuestion.question}</h2>
+                <QuestionImage question={currentQuestion} />
+                {!isReveal && gameSettings.timeLimit > 0 && remainingMs !== null && <p className="flex items-center gap-1 text-sm text-gray-300 mb-4"><Timer size={16} /> {Math.ceil(remainingMs / 1000)}s</p>}
+                {!isReveal && gameSettings.lifelines > 0 && <LifelineBar game={game} uid={player.uid} onUse={handleLifeline} />}
+                {getQuestionType(currentQuestion) === 'text' ? (
+                    isReveal ? (
+                        <div className="space-y-2">
+                            <p className="bg-green-500/30 border-2 border-green-500 rounded-xl p-3 font-semibold">Answer: {currentQuestion.correct_answer}</p>
+                            {game.players.map(p => <p key={p.uid} className="text-sm text-gray-300">{p.name}: <span className="text-white">{game.answers[p.uid]?.answer ?? '—'}</span></p>)}
+                        </div>
+                    ) : <TypedAnswerForm key={`${game.currentQuestionIndex}-${game.turn}`} onSubmit={submitPick} />
+                ) : (
+                    <div className={`grid ${answerGridClass(currentQuestion)} gap-2 sm:gap-4`}>
+                        {currentQuestion.answers.map((answer, index) => (
+                            <button key={index} onClick={() => submitPick(answer)} disabled={isReveal || hiddenAnswers.includes(answer)} aria-keyshortcuts={`${index + 1} ${ANSWER_LETTERS[index]}`} className={`w-full p-3 sm:p-4 rounded-xl border-2 font-semibold ${getQuestionType(currentQuestion) === 'boolean' ? 'text-center text-lg sm:text-2xl' : 'text-left text-sm sm:text-base'} ${getAnswerClass(answer)}`}>
+                                <span className="flex items-center gap-3">
+                                    <kbd aria-hidden="true" className="hidden sm:inline-flex items-center justify-center w-6 h-6 rounded-md bg-gray-900/60 text-xs font-mono text-gray-300 flex-shrink-0">{ANSWER_LETTERS[index]}</kbd>
+                                    <span className="flex-grow">{answer}</span>
+                                    {isReveal && answer === currentQuestion.correct_answer && <span className="flex items-center gap-1 text-xs sm:text-sm font-bold flex-shrink-0"><CheckCircle size={18} aria-hidden="true" /> Correct</span>}
+                                    {hiddenAnswers.includes(answer) && <span className="sr-only">(removed by 50/50)</span>}
+                                </span>
+                                {isReveal && <span className="block text-xs font-normal text-gray-300 mt-1">{game.players.filter(p => picks[p.uid] === answer).map(p => p.name).join(', ')}</span>}
+                            </button>
+                        ))}
+                    </div>
+                )}
+            </div>
+            {isReveal && <>
+                <div className="flex flex-wrap justify-center gap-2 text-sm">
+                    {game.players.map(p => <span key={p.uid} className={`px-2 py-1 rounded-lg ${points[p.uid] ? 'bg-green-500/20' : 'bg-gray-700/50'}`}>{p.name} <span className="font-mono">{p.score}</span> <LifelineBadges used={getLifelinesUsed(game, p.uid)} />{points[p.uid] > 0 && <span className="text-green-400"> +{points[p.uid]}</span>}{picks[p.uid] === null && <><Timer size={14} className="inline ml-1 text-gray-400" aria-hidden="true" /><span className="sr-only">timed out</span></>}</span>)}
+                </div>
+                <button onClick={handleNext} aria-keyshortcuts="Enter" className="w-full bg-gradient-to-r from-purple-600 to-blue-500 font-bold py-3 px-5 rounded-xl text-lg">{isLastQuestion(game) ? 'Finish Game' : 'Next Question'}</button>
+            </>}
+        </div>
+    );
+};
+
+// Big-screen view of a room for spectators. It only reads the room, so spectators never count as players.
+const Presenter = ({ roomId, setView }) => {
+    const [room, setRoom] = useState(null);
+    const [error, setError] = useState('');
+    const remainingMs = useCountdown(room?.gameState === 'playing' && room.revealedAnswer == null ? room.questionDeadline : null);
+
+    useEffect(() => {
+        if (!roomId) return;
+        return backend.subscribeDoc(roomPath(roomId), (data) => {
+            if (data && !hasValidRoomQuestions(data)) setError("This room's questions are damaged.");
+            else if (data) { setRoom(data); setError(''); } else setError('This room no longer exists.');
+        }, (e) => { console.error("Error watching room: ", e); setError('Could not load the room.'); });
+    }, [roomId]);
+
+    if (error) return <div className="w-full flex flex-col items-center justify-center h-full text-white gap-6"><XCircle className="h-16 w-16 text-red-500" /><h2 className="text-3xl font-bold">{error}</h2><button onClick={() => setView('mainMenu')} className="bg-gray-700 hover:bg-gray-600 font-bold py-2 px-6 rounded-lg">Main Menu</button></div>;
+    if (!room) return <LoadingSpinner text="Connecting to room..." />;
+
+    const { gameSettings = {}, players = [], answers = {} } = room;
+    const rounds = gameSettings.rounds || 1;
+    const timeLimit = gameSettings.timeLimit || 0;
+    // In a series the board shows running totals; finishRound has already added this round's score once it is over.
+    const runningScore = (p) => rounds > 1 ? (room.gameState === 'finished' ? p.totalScore ?? p.score : (p.totalScore || 0) + p.score) : p.score;
+    const standings = [...players].sort((a, b) => runningScore(b) - runningScore(a));
+    const teamStandings = room.teamMode ? computeTeamStandings(players, room.teams || [], room.teamScoring, runningScore) : [];
+    const question = room.questions?.[room.currentQuestionIndex];
+    const isAnswerRevealed = isRevealed(room);
+    const answeredCount = players.filter(p => answers[p.uid] !== undefined).length;
+    const pickCounts = Object.values(answers).reduce((counts, a) => a ? { ...counts, [a.answer]: (counts[a.answer] || 0) + 1 } : counts, {});
+    const joinLink = `${window.location.host}${window.location.pathname}#/room/${roomId}/join`;
+
+    return (
+        <div className="w-full h-full overflow-y-auto p-4 sm:p-8 text-white">
+            <header className="flex justify-between items-center mb-6">
+                <span className="flex items-center gap-2 text-gray-400"><Tv size={20} /> Presenter · Room <span className="font-mono text-white text-xl tracking-widest">{roomId}</span></span>
+                {rounds > 1 && <span className="text-gray-400">Round {room.round || 1} of {rounds}</span>}
+                <button onClick={() => setView('mainMenu')} className="bg-gray-700 hover:bg-gray-600 font-bold py-2 px-4 rounded-lg">Leave</button>
+            </header>
+            <div className="grid grid-cols-1 lg:grid-cols-[1fr_22rem] gap-6">
+                <main className="bg-gray-800/50 border border-gray-700 rounded-3xl p-6 sm:p-10 flex flex-col justify-center min-h-[60vh]">
+                    {room.gameState === 'waiting' && (
+                        <div className="text-center space-y-6">
+                            <p className="text-2xl text-gray-300">Join at <span className="text-white font-bold">{joinLink}</span></p>
+                            <p className="text-gray-400 text-xl">or enter the code</p>
+                            <p className="text-7xl sm:text-9xl font-bold font-mono tracking-widest text-purple-300">{roomId}</p>
+                            <p className="text-2xl text-gray-300">{players.length} {players.length === 1 ? 'player' : 'players'} waiting for the host to start...</p>
+                        </div>
+                    )}
+                    {room.gameState === 'playing' && question && (
+                        <div className="space-y-6">
+                            <div className="flex justify-between items-center text-lg sm:text-2xl">
+                                <span className="bg-purple-500/20 text-purple-300 font-bold px-4 py-2 rounded-xl">Question {room.currentQuestionIndex + 1} / {room.questions.length}</span>
+                                <span className="font-bold">{isAnswerRevealed ? 'Answer revealed' : `${answeredCount} / ${players.length} answered`}</span>
+                            </div>
+                            <div className="flex gap-2 flex-wrap text-lg"><span className="bg-blue-500/20 text-blue-300 px-4 py-1 rounded-full">{question.category}</span><span className="bg-yellow-500/20 text-yellow-300 px-4 py-1 rounded-full capitalize">{question.difficulty}</span></div>
+                            <h2 className="text-3xl sm:text-5xl font-bold leading-tight">{question.question}</h2>
+                            <QuestionImage question={question} />
+                            {timeLimit > 0 && remainingMs !== null && <div className="w-full h-4 bg-gray-700 rounded-full overflow-hidden"><div className={`h-full transition-all duration-200 ${remainingMs < timeLimit * 250 ? 'bg-red-500' : 'bg-purple-500'}`} style={{ width: `${remainingMs / (timeLimit * 10)}%` }}></div></div>}
+                            {getQuestionType(question) === 'text' && (isAnswerRevealed
+                                ? <div className="p-5 rounded-2xl border-2 bg-green-500/50 border-green-500 ring-4 ring-green-400 text-xl sm:text-3xl font-semibold flex justify-between items-center gap-4"><span className="flex items-center gap-3"><CheckCircle className="flex-shrink-0" />{room.revealedAnswer}</span><span className="font-mono text-lg sm:text-2xl text-gray-200">{Object.values(room.history?.[room.currentQuestionIndex]?.picks || {}).filter(pick => pick === room.revealedAnswer).length} right</span></div>
+                                : <p className="text-2xl text-gray-300 text-center">Type your answer on your device</p>)}
+                            <div className={`grid ${answerGridClass(question)} gap-4`}>
+                                {question.answers.map(answer => (
+                                    <div key={answer} className={`p-5 rounded-2xl border-2 text-xl sm:text-3xl font-semibold flex justify-between items-center gap-4 transition-all duration-500 ${!isAnswerRevealed ? 'bg-gray-700 border-gray-600' : answer === room.revealedAnswer ? 'bg-green-500/50 border-green-500 ring-4 ring-green-400' : 'bg-gray-800 border-gray-700 opacity-50'}`}>
+                                        <span className="flex items-center gap-3">{isAnswerRevealed && answer === room.revealedAnswer && <CheckCircle className="flex-shrink-0" />}<span>{answer}</span></span>
+                                        {isAnswerRevealed && <span className="font-mono text-lg sm:text-2xl text-gray-200">{pickCounts[answer] || 0}</span>}
+                                    </div>
+                                ))}
+                            </div>
+                        </div>
+                    )}
+                    {room.gameState === 'finished' && (
+                        <div className="text-center">
+                            <h2 className="text-4xl sm:text-6xl font-bold mb-8">{rounds > 1 && !isSeriesOver(room) ? `Round ${room.round || 1} complete!` : 'Final Results'}</h2>
+                            <WinnerDisplay players={players} gameMode="multiplayer" round={room.round || 1} rounds={rounds} teams={room.teamMode ? room.teams : null} teamScoring={room.teamScoring} />
+                        </div>
+                    )}
+                </main>
+                <aside className="bg-gray-800/50 border border-gray-700 rounded-3xl p-6">
+                    {teamStandings.length > 0 && (
+                        <div className="flex flex-wrap gap-2 mb-4">{teamStandings.map(team => <TeamChip key={team.id} team={team} score={team.score} />)}</div>
+                    )}
+                    <h3 className="text-2xl font-bold mb-4 flex items-center gap-2"><Trophy className="text-yellow-400" /> Leaderboard</h3>
+                    <ol className="space-y-2">
+                        {standings.map((p, index) => (
+                            <li key={p.uid} className="bg-gray-700/60 rounded-xl px-4 py-2 flex justify-between items-center text-lg">
+                                <span className="flex items-center gap-2 min-w-0">
+                                    <span className="text-gray-400 font-mono">{index + 1}.</span>
+                                    {room.teamMode && <span className={`w-3 h-3 rounded-full flex-shrink-0 ${TEAM_COLORS[p.teamId]?.dot || 'bg-gray-500'}`}></span>}
+                                    <span className="truncate">{p.name}</span>
+                                    {room.gameState === 'playing' && !isAnswerRevealed && answers[p.uid] !== undefined && <CheckCircle size={18} className="text-green-400 flex-shrink-0" />}
+                                </span>
+                                <span className="font-mono font-bold">{runningScore(p)}</span>
+                            </li>
+                        ))}
+                    </ol>
+                </aside>
+            </div>
+        </div>
+    );
+};
+
+// One board's standings for a period, with the player's own entry below the top 10 when they aren't in it.
+const LeaderboardPanel = ({ boardId, userId }) => {
+    const [period, setPeriod] = useState('all');
+    const [board, setBoard] = useState(null);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        let cancelled = false;
+        setBoard(null);
+        setError('');
+        fetchLeaderboard(boardId, period, userId)
+            .then(result => { if (!cancelled) setBoard(result); })
+            .catch(e => { console.error("Error loading leaderboard: ", e); if (!cancelled) setError('Could not load the leaderboard.'); });
+        return () => { cancelled = true; };
+    }, [boardId, period, userId]);
+
+    const row = (entry, rank, isMine) => (
+        <div key={entry.id || 'mine'} className={`p-2 rounded-lg flex justify-between items-center text-sm ${isMine ? 'bg-purple-600/50' : 'bg-gray-700'}`}>
+            <span className="font-semibold flex items-center gap-2">
+                {rank <= 3 && <Trophy size={16} className={rank === 1 ? 'text-yellow-400' : rank === 2 ? 'text-gray-300' : 'text-yellow-600'} />}
+                {rank}. {entry.name}
+            </span>
+            <span className="font-mono">{entry.score} points</span>
+        </div>
+    );
+
+    return (
+        <div className="text-white w-full">
+            <p className="text-gray-400 text-sm text-center mb-2">{describeLeaderboard(boardId)}</p>
+            <div className="grid grid-cols-3 gap-2 mb-3">
+                {LEADERBOARD_PERIODS.map(p => ( <button key={p.id} onClick={() => setPeriod(p.id)} className={`py-1.5 px-2 rounded-lg text-xs sm:text-sm font-bold transition-colors ${period === p.id ? 'bg-purple-600 text-white ring-2 ring-purple-400' : 'bg-gray-700 hover:bg-gray-600 text-gray-300'}`}>{p.label}</button>))}
+            </div>
+            {error ? <p className="text-red-400 text-sm text-center">{error}</p> : !board ? <p className="text-gray-400 text-sm flex items-center justify-center gap-2"><Loader2 size={16} className="animate-spin" /> Loading scores...</p> : (
+                <div className="space-y-2 max-h-56 overflow-y-auto">
+                    {board.top.length === 0 && <p className="text-gray-400 text-sm text-center">No scores yet. Be the first!</p>}
+                    {board.top.map((entry, index) => row(entry, index + 1, entry.id === userId))}
+                    {board.mine && board.rank > board.top.length && <><p className="text-gray-500 text-center leading-none">⋮</p>{row(board.mine, board.rank, true)}</>}
+                </div>
+            )}
+            {board?.mine && <p className="text-gray-400 text-xs text-center mt-2">Your best {period === 'all' ? 'ever' : LEADERBOARD_PERIODS.find(p => p.id === period).label.toLowerCase()}: {board.mine.score} points</p>}
+        </div>
+    );
+};
+
+// Browse any board from the main menu.
+const LeaderboardScreen = ({ setView, userId }) => {
+    const [board, setBoard] = useState({ variant: 'classic', amount: 10, lives: DEFAULT_LIVES, difficulty: '', timeLimit: 0 });
+    return (
+        <div className="w-full max-w-lg mx-auto p-4 flex flex-col justify-center h-full">
+            <div className="text-center mb-6"><Medal className="mx-auto h-12 w-12 text-purple-400" /><h1 className="text-4xl font-bold text-white mt-4">Leaderboards</h1></div>
+            <div className="space-y-4 bg-gray-800/50 p-6 rounded-2xl max-h-[65vh] overflow-y-auto">
+                <div className="grid grid-cols-2 gap-2">
+                    <select value={board.variant} onChange={e => setBoard({ ...board, variant: e.target.value })} className="bg-gray-700 text-white border-2 border-gray-600 rounded-lg py-2 px-2 text-sm focus:outline-none focus:border-purple-500">
+                        {GAME_VARIANTS.map(v => <option key={v.id} value={v.id}>{v.label}</option>)}
+                    </select>
+                    {board.variant === 'survival' ? (
+                        <select value={board.lives} onChange={e => setBoard({ ...board, lives: Number(e.target.value) })} className="bg-gray-700 text-white border-2 border-gray-600 rounded-lg py-2 px-2 text-sm focus:outline-none focus:border-purple-500">
+                            {SURVIVAL_LIVES.map(lives => <option key={lives} value={lives}>{lives} {lives === 1 ? 'life' : 'lives'}</option>)}
+                        </select>
+                    ) : (
+                        <select value={board.amount} onChange={e => setBoard({ ...board, amount: Number(e.target.value) })} className="bg-gray-700 text-white border-2 border-gray-600 rounded-lg py-2 px-2 text-sm focus:outline-none focus:border-purple-500">
+                            {Array.from({ length: 16 }, (_, i) => i + 5).map(amount => <option key={amount} value={amount}>{amount} questions</option>)}
+                        </select>
+                    )}
+                    {board.variant !== 'adaptive' && <select value={board.difficulty} onChange={e => setBoard({ ...board, difficulty: e.target.value })} className="bg-gray-700 text-white border-2 border-gray-600 rounded-lg py-2 px-2 text-sm capitalize focus:outline-none focus:border-purple-500">
+                        {['', 'easy', 'medium', 'hard'].map(diff => <option key={diff} value={diff}>{diff || 'Any'}</option>)}
+                    </select>}
+                    <select value={board.timeLimit ? 'timed' : 'untimed'} onChange={e => setBoard({ ...board, timeLimit: e.target.value === 'timed' ? 1 : 0 })} className="bg-gray-700 text-white border-2 border-gray-600 rounded-lg py-2 px-2 text-sm focus:outline-none focus:border-purple-500">
+                        <option value="untimed">Untimed</option>
+                        <option value="timed">Timed</option>
+                    </select>
+                </div>
+                <LeaderboardPanel boardId={getLeaderboardId(board)} userId={userId} />
+            </div>
+            <button onClick={() => setView('mainMenu')} className="mt-8 w-full bg-gray-600 hover:bg-gray-700 text-white font-bold py-3 px-4 rounded-lg"><ChevronLeft className="inline-block mr-1" size={20}/> Back</button>
+        </div>
+    );
+};
+
+const WinnerDisplay = ({ players, gameMode, personalBest = null, round = 1, rounds = 1, teams = null, teamScoring = 'sum' }) => {
     if (gameMode === 'single') {
         const myScore = players[0]?.score ?? 0;
         return (
              <div className="text-white w-full">
                  <h3 className="text-xl font-bold text-center mb-2">Your Final Score</h3>
-                 <p className="text-5xl font-bold text-purple-400 text-center mb-6">{myScore}</p>
-                  <h3 className="text-lg font-bold text-center mb-2">High Scores</h3>
-                  <div className="space-y-2 max-h-48 overflow-y-auto">
-                       {highScores.length > 0 ? highScores.map((score, index) => (
-                           <div key={score.id} className="bg-gray-700 p-2 rounded-lg flex justify-between items-center text-sm">
-                               <span className="font-semibold flex items-center gap-2">
-                                   {index < 3 && <Trophy size={16} className={index === 0 ? 'text-yellow-400' : index === 1 ? 'text-gray-300' : 'text-yellow-600'} />}
-                                   {index + 1}. {score.name}
-                               </span>
-                               <span className="font-mono">{score.score} points</span>
-                           </div>
-                       )) : <div className="text-gray-400"><LoadingSpinner text="Loading scores..."/></div>}
-                  </div>
+                 <p className="text-5xl font-bold text-purple-400 text-center mb-2">{myScore}</p>
+                 <p className="text-sm text-center mb-6 h-5">{personalBest && (personalBest.previous === null || myScore > personalBest.previous ? <span className="text-green-400 font-bold">New personal best!</span> : <span className="text-gray-400">Personal best: {personalBest.previous}</span>)}</p>
              </div>
         )
     }
 
-    const sortedPlayers = [...players].sort((a,b) => b.score - a.score);
+    // In a series the podium ranks running totals; the round's own scores are listed alongside.
+    const isSeries = rounds > 1;
+    const standing = (player) => isSeries ? (player.totalScore ?? player.score) : player.score;
+    const sortedPlayers = [...players].sort((a,b) => standing(b) - standing(a));
+    const teamStandings = teams ? computeTeamStandings(players, teams, teamScoring, standing) : [];
 
     return (
         <div className="text-white">
+            {isSeries && <p className="text-gray-400 text-sm mb-4">After round {round} of {rounds}</p>}
+            {teamStandings.length > 0 && (
+                <div className="mb-6">
+                    <h3 className="text-lg font-bold text-center mb-2">Team Standings <span className="text-sm text-gray-400 font-normal">({teamScoring === 'average' ? 'average' : 'total'})</span></h3>
+                    <div className="space-y-2">
+                        {teamStandings.map((team, index) => (
+                            <div key={team.id} className="bg-gray-700 p-2 rounded-lg flex justify-between items-center text-sm">
+                                <span className="font-semibold flex items-center gap-2">
+                                    {index === 0 && <Trophy size={16} className="text-yellow-400" />}
+                                    <span className={`w-3 h-3 rounded-full ${TEAM_COLORS[team.id]?.dot}`}></span>
+                                    {team.name} <span className="text-gray-400 font-normal">({team.members.length})</span>
+                                </span>
+                                <span className="font-mono">{team.score} points</span>
+                            </div>
+                        ))}
+                    </div>
+                </div>
+            )}
             <div className="flex justify-center items-end gap-2 sm:gap-4 mb-6">
-                {sortedPlayers.map((player, index) => {
+                {sortedPlayers.slice(0, 3).map((player, index) => {
                     const podiumStyles = [
                         { order: 'order-2', crown: 'text-yellow-400 h-10 w-10', userBg: 'bg-yellow-500', box: 'bg-yellow-600 h-24' },
                         { order: 'order-1', crown: 'text-gray-300 h-8 w-8', userBg: 'bg-gray-400', box: 'bg-gray-500 h-20' },
@@ -479,19 +2744,21 @@ const WinnerDisplay = ({ players, gameMode, highScores = [] }) => {
                             <div className={`text-center font-bold px-2 py-1 rounded-b-lg w-full flex items-center justify-center ${style.box}`}>
                                 <div>
                                     <p className="text-base sm:text-lg">{player.name}</p>
-                                    <p className="text-lg sm:text-xl">{player.score}</p>
+                                    <p className="text-lg sm:text-xl">{standing(player)}</p>
                                 </div>
                             </div>
                         </div>
                     );
                 })}
             </div>
-            <h3 className="text-lg font-bold text-center mb-2">Final Scores</h3>
+            <h3 className="text-lg font-bold text-center mb-2">{isSeries ? 'Running Totals' : 'Final Scores'}</h3>
             <div className="space-y-2 max-h-40 overflow-y-auto">
                 {sortedPlayers.map((player, index) => (
                     <div key={player.uid} className="bg-gray-700 p-2 rounded-lg flex justify-between items-center text-sm">
                         <span className="font-semibold">{index + 1}. {player.name}</span>
-                        <span className="font-mono">{player.score} points</span>
+                        {isSeries
+                            ? <span className="font-mono">+{player.score} · {standing(player)} points · {player.roundWins || 0} {player.roundWins === 1 ? 'win' : 'wins'}</span>
+                            : <span className="font-mono">{player.score} points</span>}
                     </div>
                 ))}
             </div>
@@ -499,6 +2766,82 @@ const WinnerDisplay = ({ players, gameMode, highScores = [] }) => {
     );
 };
 
+// The player's daily result as a shareable grid, next to today's leaderboard.
+const DailyResult = ({ dateKey, result, leaderboard, userId }) => {
+    const [copied, setCopied] = useState(false);
+    const handleCopy = () => { if (copyTextToClipboard(buildDailyShareText(dateKey, result))) { setCopied(true); setTimeout(() => setCopied(false), 2000); } };
+
+    return (
+        <div className="text-white w-full">
+            <p className="text-gray-400 text-sm mb-2">{dateKey}</p>
+            <p className="text-5xl font-bold text-purple-400 mb-2">{result.correct}/{DAILY_SETTINGS.amount}</p>
+            <p className="text-2xl tracking-widest mb-4">{result.grid}</p>
+            <button onClick={handleCopy} className="w-full bg-gray-700 hover:bg-gray-600 text-white font-bold py-2 px-4 rounded-lg flex items-center justify-center gap-2"><Share2 size={18} /> {copied ? 'Copied to clipboard!' : 'Copy Result'}</button>
+            <h3 className="text-lg font-bold mt-6 mb-2">Today's Leaderboard</h3>
+            <div className="space-y-2 max-h-48 overflow-y-auto">
+                {leaderboard.length > 0 ? leaderboard.map((entry, index) => (
+                    <div key={entry.id} className={`p-2 rounded-lg flex justify-between items-center text-sm ${entry.id === userId ? 'bg-purple-600/50' : 'bg-gray-700'}`}>
+                        <span className="font-semibold flex items-center gap-2">
+                            {index < 3 && <Trophy size={16} className={index === 0 ? 'text-yellow-400' : index === 1 ? 'text-gray-300' : 'text-yellow-600'} />}
+                            {index + 1}. {entry.name}
+                        </span>
+                        <span className="font-mono">{entry.grid} {entry.score}</span>
+                    </div>
+                )) : <p className="text-gray-400 text-sm">No finished attempts yet today.</p>}
+            </div>
+        </div>
+    );
+};
+
+const ReviewButton = ({ onClick }) => ( <button onClick={onClick} className="mt-6 w-full bg-gray-700 hover:bg-gray-600 text-white font-bold py-3 px-4 rounded-lg flex items-center justify-center gap-2"><ListChecks size={20} /> Review Answers</button> );
+
+// Lists every question of the game with your answer, the correct one and, in multiplayer, how many players picked each option.
+const ReviewScreen = ({ history, userId, playerCount }) => {
+    if (history.length === 0) return <p className="text-gray-400">No answers to review yet.</p>;
+    const correctCount = history.filter(entry => entry.picks[userId] === entry.correctAnswer).length;
+
+    return (
+        <div className="text-left">
+            <p className="text-center text-gray-300 mb-4">You got <span className="font-bold text-white">{correctCount}</span> of {history.length} right.</p>
+            <div className="space-y-4 max-h-[55vh] overflow-y-auto pr-1">
+                {history.map((entry, index) => {
+                    const myPick = entry.picks[userId];
+                    const myLifelines = entry.lifelines?.[userId] || [];
+                    const pickCounts = Object.values(entry.picks).reduce((counts, pick) => pick ? { ...counts, [pick]: (counts[pick] || 0) + 1 } : counts, {});
+                    // Typed answers have no options, so list the answer and, when it was wrong, what you typed.
+                    const options = entry.type === 'text' ? [entry.correctAnswer, ...(myPick && myPick !== entry.correctAnswer ? [myPick] : [])] : entry.answers;
+                    return (
+                        <div key={index} className="bg-gray-700/60 rounded-xl p-3">
+                            <p className="text-xs text-gray-400 mb-1">Question {index + 1} · <span>{entry.category}</span> · <span className="capitalize">{entry.difficulty}</span></p>
+                            <p className="font-semibold mb-2">{entry.question}</p>
+                            {myLifelines.length > 0 && <p className="text-xs text-yellow-300 mb-2 flex items-center gap-1"><LifelineBadges used={myLifelines} /> Used {myLifelines.map(lifeline => LIFELINE_DETAILS[lifeline].label).join(' and ')}</p>}
+                            <div className="space-y-1 text-sm">
+                                {options.map(answer => {
+                                    const isCorrect = answer === entry.correctAnswer;
+                                    const isMine = answer === myPick;
+                                    return (
+                                        <div key={answer} className={`flex items-center justify-between gap-2 px-2 py-1 rounded-lg ${isCorrect ? 'bg-green-500/30' : isMine ? 'bg-red-500/30' : 'bg-gray-800/60'}`}>
+                                            <span className="flex items-center gap-2">
+                                                {isCorrect ? <CheckCircle size={14} className="text-green-400 flex-shrink-0" /> : isMine ? <XCircle size={14} className="text-red-400 flex-shrink-0" /> : <span className="w-3.5 flex-shrink-0"></span>}
+                                                <span>{answer}</span>
+                                                {isMine && <span className="text-xs text-gray-300">(you)</span>}
+                                            </span>
+                                            {playerCount > 0 && <span className="text-xs text-gray-300 font-mono flex-shrink-0">{pickCounts[answer] || 0}/{playerCount}</span>}
+                                        </div>
+                                    );
+                                })}
+                            </div>
+                            {!myPick && (myLifelines.includes('skip')
+                                ? <p className="text-xs text-gray-400 mt-2 flex items-center gap-1"><SkipForward size={12} /> You skipped this one.</p>
+                                : <p className="text-xs text-gray-400 mt-2 flex items-center gap-1"><Timer size={12} /> You didn't answer this one.</p>)}
+                        </div>
+                    );
+                })}
+            </div>
+        </div>
+    );
+};
+
 function App() {
     const [view, setView] = useState('loading');
     const [gameMode, setGameMode] = useState('single');
@@ -508,74 +2851,160 @@ function App() {
     const [isAuthReady, setIsAuthReady] = useState(false);
     const [error, setError] = useState(null);
     const [directJoinRoomId, setDirectJoinRoomId] = useState(null);
-    const [gameSettings, setGameSettings] = useState({ amount: 10, categories: [], difficulty: '' });
-    const [highScores, setHighScores] = useState([]);
+    const [localPlayers, setLocalPlayers] = useState([]);
+    const [gameSettings, setGameSettings] = useState({ amount: 10, categories: [], difficulty: '', source: 'opentdb', timeLimit: 0, lifelines: 0 });
+    const profile = useProfile(userId);
 
-    useEffect(() => {
-        const urlParams = new URLSearchParams(window.location.search);
-        const roomCodeFromUrl = urlParams.get('room');
-        if (roomCodeFromUrl) {
-            setDirectJoinRoomId(roomCodeFromUrl.toUpperCase());
-            setGameMode('multiplayer');
-        }
-    }, []);
+    // The saved profile name is the default name for every game; a name picked for a game becomes the saved one.
+    useEffect(() => { if (profile?.name) setPlayerName(prev => prev || profile.name); }, [profile?.name]);
+    const choosePlayerName = useCallback((name) => {
+        setPlayerName(name);
+        if (userId && name !== profile?.name) saveProfile(userId, { name }).catch(e => console.error("Error saving name: ", e));
+    }, [userId, profile?.name]);
 
     useEffect(() => {
-        if (!auth) { 
-            console.error("Firebase Auth is not initialized. Check your configuration.");
-            setError("Application could not connect to services.");
+        const unsubscribe = backend.watchUser((user) => {
+            setUserId(user.uid);
+            setIsAuthReady(true);
+        }, (authError) => {
+            console.error("Authentication failed:", authError);
+            setError("Authentication failed.");
             setView('error');
-            return; 
-        }
-        const unsubscribe = onAuthStateChanged(auth, async (user) => {
-            if (user) {
-                setUserId(user.uid);
-            } else {
-                try {
-                    if (initialAuthToken) await signInWithCustomToken(auth, initialAuthToken);
-                    else await signInAnonymously(auth);
-                } catch (authError) {
-                    console.error("Authentication failed:", authError);
-                    setError("Authentication failed.");
-                    setView('error');
-                }
-            }
-            if(!isAuthReady) setIsAuthReady(true);
+            setIsAuthReady(true);
         });
         return () => unsubscribe();
-    }, [isAuthReady]);
+    }, []);
 
     useEffect(() => {
-        if (isAuthReady) {
-            if (directJoinRoomId) {
-                setView('enterName');
-            } else {
-                setView('mainMenu');
-            }
+        if (userId) cleanupStaleRooms().catch(e => console.warn("Could not clean up stale rooms", e));
+    }, [userId]);
+
+    // Remember the room we're in so a reload can put us straight back into it.
+    useEffect(() => {
+        if (gameMode === 'multiplayer' && roomId && ['lobby', 'game', 'results'].includes(view)) localStorage.setItem(ACTIVE_ROOM_KEY, roomId);
+        else if (view === 'mainMenu') localStorage.removeItem(ACTIVE_ROOM_KEY);
+    }, [view, roomId, gameMode]);
+
+    // An invite only applies until we're back at the menu.
+    useEffect(() => { if (view === 'mainMenu') setDirectJoinRoomId(null); }, [view]);
+
+    // Players already in a room (e.g. after a reload) go back to it with their name and score intact.
+    const rejoinRoom = useCallback(async (roomCode) => {
+        if (!userId) return false;
+        try {
+            const roomData = await backend.getDoc(roomPath(roomCode));
+            const me = roomData && !isRoomExpired(roomData) ? roomData.players.find(p => p.uid === userId) : null;
+            if (!me) { localStorage.removeItem(ACTIVE_ROOM_KEY); return false; }
+            setGameMode('multiplayer');
+            setPlayerName(me.name);
+            setRoomId(roomCode);
+            setView({ waiting: 'lobby', finished: 'results' }[roomData.gameState] || 'game');
+            return true;
+        } catch (e) {
+            console.error("Error rejoining room: ", e);
+            return false;
+        }
+    }, [userId]);
+
+    // Opens the view a route points at. Room routes rejoin the room when we're in it, and otherwise
+    // ask for a name to join it. Views that need state a URL can't carry fall back to the step before.
+    const replaceNextRoute = useRef(true);
+    const applyRoute = useCallback(async (route) => {
+        replaceNextRoute.current = true;
+        if (route.roomId) {
+            if (route.view === 'presenter') { setGameMode('spectator'); setRoomId(route.roomId); setView('presenter'); return; }
+            if (await rejoinRoom(route.roomId)) return;
+            setGameMode('multiplayer');
+            setDirectJoinRoomId(route.roomId);
+            setView('enterName');
+            return;
+        }
+        setDirectJoinRoomId(null);
+        if (route.gameMode) setGameMode(route.gameMode);
+        if (route.view === 'game') setView(route.gameMode === 'daily' ? 'enterName' : 'settings');
+        else if (route.view === 'multiplayerMenu' && !playerName) setView('enterName');
+        else setView(route.view);
+    }, [rejoinRoom, playerName]);
+
+    // On startup the URL decides where to go; a plain visit still returns to the room we were last in.
+    const hasStarted = useRef(false);
+    useEffect(() => {
+        if (!isAuthReady || !userId || hasStarted.current) return;
+        hasStarted.current = true;
+        const route = parseRoute(window.location.hash, window.location.search);
+        const savedRoomId = localStorage.getItem(ACTIVE_ROOM_KEY);
+        if (route.view === 'mainMenu' && !route.roomId && savedRoomId) rejoinRoom(savedRoomId).then(rejoined => { if (!rejoined) applyRoute(route); });
+        else applyRoute(route);
+    }, [isAuthReady, userId, rejoinRoom, applyRoute]);
+
+    useEffect(() => {
+        const handlePopState = () => applyRoute(parseRoute(window.location.hash));
+        window.addEventListener('popstate', handlePopState);
+        return () => window.removeEventListener('popstate', handlePopState);
+    }, [applyRoute]);
+
+    // Keeps the URL in step with the view. Moving between the stages of one room (lobby, game, results)
+    // replaces the history entry, so Back leaves the room rather than stepping through its past stages.
+    useEffect(() => {
+        const route = buildRoute({ view, gameMode, roomId, directJoinRoomId });
+        if (!route) return;
+        const currentRoute = window.location.hash.replace(/^#/, '') || '/';
+        const replace = replaceNextRoute.current || (parseRoute(currentRoute).roomId && parseRoute(currentRoute).roomId === parseRoute(route).roomId);
+        replaceNextRoute.current = false;
+        if (route === currentRoute && !window.location.search) return;
+        window.history[replace ? 'replaceState' : 'pushState'](null, '', `${window.location.pathname}#${route}`);
+    }, [view, gameMode, roomId, directJoinRoomId]);
+
+    // Spectators only need the room to exist; they can start watching at any stage.
+    const handleSpectateRoom = useCallback(async (code, errorHandler = setError) => {
+        const roomCode = code.trim().toUpperCase();
+        if (!roomCode) return;
+        try {
+            if (!(await backend.getDoc(roomPath(roomCode)))) { errorHandler('Room not found. Check the code and try again.'); return; }
+            setGameMode('spectator');
+            setRoomId(roomCode);
+            setView('presenter');
+        } catch (e) {
+            console.error("Error opening room: ", e);
+            errorHandler('Could not open the room.');
         }
-    }, [isAuthReady, directJoinRoomId]);
+    }, []);
 
     const handleJoinRoom = useCallback(async (code, pName, errorHandler = setError) => {
         const roomCode = code.trim().toUpperCase();
-        if (!roomCode || !db || !userId) return;
-        const roomDocRef = doc(db, `artifacts/${appId}/public/data/rooms/${roomCode}`);
+        if (!roomCode || !userId) return;
         try {
-            const roomDoc = await getDoc(roomDocRef);
-            if (roomDoc.exists()) {
-                const roomData = roomDoc.data();
+            const roomData = await backend.getDoc(roomPath(roomCode));
+            if (roomData && isRoomExpired(roomData)) {
+                errorHandler('This room has expired. Ask the host to create a new one.');
+            } else if (roomData) {
+                // Players already in the room can come back at any stage
+                if (roomData.players.some(p => p.uid === userId)) {
+                    await rejoinRoom(roomCode);
+                    return;
+                }
+                if (roomData.kickedIds?.includes(userId)) {
+                     errorHandler('You were removed from this room by the host.');
+                     return;
+                }
                 if (roomData.gameState !== 'waiting') {
                      errorHandler('This game has already started or is finished.');
                      return;
                 }
-                // If player is already in the list, just go to lobby
-                if (roomData.players.some(p => p.uid === userId)) {
-                    setRoomId(roomCode);
-                    setView('lobby');
-                    return;
+                if (roomData.isLocked) {
+                     errorHandler('This room is locked by the host.');
+                     return;
+                }
+                if (roomData.maxPlayers && roomData.players.length >= roomData.maxPlayers) {
+                     errorHandler('This room is full.');
+                     return;
                 }
-                // Otherwise, add the new player
-                await updateDoc(roomDocRef, {
-                    players: arrayUnion({ uid: userId, name: pName, score: 0 })
+                // Otherwise, add the new player, onto the smallest team in team mode
+                const newPlayer = { uid: userId, name: pName, score: 0 };
+                if (roomData.teamMode && roomData.teams?.length) newPlayer.teamId = pickSmallestTeam(roomData.players, roomData.teams);
+                await backend.updateDoc(roomPath(roomCode), {
+                    players: backend.arrayUnion(newPlayer),
+                    playerIds: backend.arrayUnion(userId)
                 });
                 setRoomId(roomCode);
                 setView('lobby');
@@ -586,40 +3015,59 @@ function App() {
             console.error("Error joining room: ", e);
             errorHandler('Could not join room. Please try again.');
         }
-    }, [userId, setView, setRoomId]);
+    }, [userId, setView, setRoomId, rejoinRoom]);
 
 
+    // A new screen starts keyboard and screen-reader users at its heading, unless it has focused something itself.
+    const viewRef = useRef(null);
+    const lastViewRef = useRef(view);
+    useEffect(() => {
+        if (lastViewRef.current === view) return;
+        lastViewRef.current = view;
+        const container = viewRef.current;
+        if (!container || (container.contains(document.activeElement) && document.activeElement !== container)) return;
+        const heading = container.querySelector('h1, h2');
+        if (heading && !heading.hasAttribute('tabindex')) heading.setAttribute('tabindex', '-1');
+        (heading || container).focus();
+    }, [view]);
+
     const renderView = () => {
-        if (!db) {
-            return <div className="text-white text-center p-8">
-                <h2 className="text-2xl font-bold text-red-400">Firebase Not Configured</h2>
-                <p className="mt-4 text-gray-300">This app requires Firebase to function. If you are the developer, please make sure to set up your Firebase project and add the configuration keys to your Vercel environment variables.</p>
-            </div>
-        }
         if (view === 'error') return <div className="text-red-400 text-center">{error}</div>;
         if (view === 'loading' || !isAuthReady) return <LoadingSpinner />;
 
         switch (view) {
             case 'mainMenu':
-                return <MainMenu setView={setView} setGameMode={setGameMode} />;
+                return <MainMenu setView={setView} setGameMode={setGameMode} profile={profile} />;
+            case 'profile':
+                return <ProfileScreen setView={setView} userId={userId} profile={profile} />;
             case 'settings':
-                return <SettingsScreen setView={setView} setGameSettings={setGameSettings} gameMode={gameMode} directJoinRoomId={directJoinRoomId}/>;
+                return <SettingsScreen setView={setView} setGameSettings={setGameSettings} gameSettings={gameSettings} gameMode={gameMode} />;
+            case 'leaderboards':
+                return <LeaderboardScreen setView={setView} userId={userId} />;
+            case 'quizEditor':
+                return <QuizEditor setView={setView} userId={userId} setGameMode={setGameMode} setGameSettings={setGameSettings} />;
             case 'enterName':
-                return <EnterName setView={setView} setPlayerName={setPlayerName} gameMode={gameMode} playerName={playerName} directJoinRoomId={directJoinRoomId} handleJoinRoom={handleJoinRoom} />;
+                return <EnterName setView={setView} setPlayerName={choosePlayerName} gameMode={gameMode} playerName={playerName} directJoinRoomId={directJoinRoomId} handleJoinRoom={handleJoinRoom} />;
             case 'multiplayerMenu':
-                return <MultiplayerMenu setView={setView} setRoomId={setRoomId} userId={userId} playerName={playerName} handleJoinRoom={handleJoinRoom} gameSettings={gameSettings} />;
+                return <MultiplayerMenu setView={setView} setRoomId={setRoomId} userId={userId} playerName={playerName} handleJoinRoom={handleJoinRoom} handleSpectateRoom={handleSpectateRoom} gameSettings={gameSettings} />;
             case 'lobby':
                 return <Lobby setView={setView} roomId={roomId} userId={userId} />;
+            case 'presenter':
+                return <Presenter roomId={roomId} setView={setView} />;
+            case 'playerSetup':
+                return <PlayerSetup setView={setView} playerName={playerName} localPlayers={localPlayers} setLocalPlayers={setLocalPlayers} />;
             case 'game':
-                return <Game gameMode={gameMode} roomId={roomId} userId={userId} setView={setView} playerName={playerName} gameSettings={gameSettings} setHighScores={setHighScores} />;
+            case 'results':
+                if (gameMode === 'passAndPlay') return <PassAndPlay localPlayers={localPlayers} gameSettings={gameSettings} setView={setView} />;
+                return <Game gameMode={gameMode} roomId={roomId} userId={userId} setView={setView} playerName={playerName} gameSettings={gameMode === 'daily' ? DAILY_SETTINGS : gameSettings} />;
             default:
-                return <MainMenu setView={setView} setGameMode={setGameMode} />;
+                return <MainMenu setView={setView} setGameMode={setGameMode} profile={profile} />;
         }
     };
 
     return (
         <div className="bg-gray-900 text-white font-sans w-full h-screen overflow-y-hidden">
-             <div className="container mx-auto h-full flex flex-col items-center justify-center">
+             <div ref={viewRef} tabIndex={-1} className="container mx-auto h-full flex flex-col items-center justify-center focus:outline-none [&_h1:focus]:outline-none [&_h2:focus]:outline-none">
                  {renderView()}
                  <Analytics />
                  <SpeedInsights />
@@ -0,0 +1,80 @@
+import { initializeApp } from 'firebase/app';
+import { getAuth, signInAnonymously, onAuthStateChanged, signInWithCustomToken, GoogleAuthProvider, linkWithPopup, signInWithCredential, signOut } from 'firebase/auth';
+import { getFirestore, doc, setDoc, getDoc, onSnapshot, updateDoc, arrayUnion, collection, deleteDoc, query, orderBy, limit, getDocs, runTransaction, writeBatch, serverTimestamp, where, getCountFromServer, Timestamp } from 'firebase/firestore';
+
+// Firestore hands back Timestamp objects; the backend interface promises epoch milliseconds everywhere.
+// Pending server timestamps are estimated locally so snapshots never show them as null.
+const fromFirestore = (value) => {
+    if (value instanceof Timestamp) return value.toMillis();
+    if (Array.isArray(value)) return value.map(fromFirestore);
+    if (value && typeof value === 'object') return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, fromFirestore(v)]));
+    return value;
+};
+const snapshotData = (snap) => snap.exists() ? fromFirestore(snap.data({ serverTimestamps: 'estimate' })) : null;
+const snapshotDocs = (snapshot) => snapshot.docs.map(d => ({ id: d.id, ...snapshotData(d) }));
+
+export const createFirebaseBackend = (firebaseConfig, { initialAuthToken = null } = {}) => {
+    const app = initializeApp(firebaseConfig);
+    const auth = getAuth(app);
+    const db = getFirestore(app);
+    const ref = (path) => doc(db, path);
+    const buildQuery = (path, { where: condition, orderBy: field, direction = 'asc', limit: max } = {}) => {
+        const constraints = [...(condition ? [where(...condition)] : []), ...(field ? [orderBy(field, direction)] : []), ...(max ? [limit(max)] : [])];
+        return query(collection(db, path), ...constraints);
+    };
+
+    return {
+        name: 'firebase',
+        supportsAccounts: true,
+
+        // Signs in anonymously (or with the environment's token) whenever nobody is signed in.
+        watchUser: (onUser, onError) => onAuthStateChanged(auth, async (user) => {
+            if (user) { onUser({ uid: user.uid, isAnonymous: user.isAnonymous, email: user.email }); return; }
+            try {
+                if (initialAuthToken) await signInWithCustomToken(auth, initialAuthToken);
+                else await signInAnonymously(auth);
+            } catch (error) { onError(error); }
+        }),
+        currentUser: () => auth.currentUser && { uid: auth.currentUser.uid, isAnonymous: auth.currentUser.isAnonymous, email: auth.currentUser.email },
+        // Resolves to { email } once linked, { existingCredential } when the account already has its own
+        // profile, or null when the popup was closed.
+        linkAccount: async () => {
+            try {
+                const result = await linkWithPopup(auth.currentUser, new GoogleAuthProvider());
+                return { email: result.user.email || '' };
+            } catch (error) {
+                if (error.code === 'auth/credential-already-in-use') return { existingCredential: GoogleAuthProvider.credentialFromError(error) };
+                if (error.code === 'auth/popup-closed-by-user') return null;
+                throw error;
+            }
+        },
+        switchAccount: (credential) => signInWithCredential(auth, credential),
+        signOut: () => signOut(auth),
+
+        getDoc: async (path) => snapshotData(await getDoc(ref(path))),
+        setDoc: (path, data, options = {}) => setDoc(ref(path), data, options),
+        updateDoc: (path, changes) => updateDoc(ref(path), changes),
+        deleteDoc: (path) => deleteDoc(ref(path)),
+        subscribeDoc: (path, onData, onError) => onSnapshot(ref(path), snap => onData(snapshotData(snap)), onError),
+        subscribeCollection: (path, onDocs, onError, options) => onSnapshot(buildQuery(path, options), snapshot => onDocs(snapshotDocs(snapshot)), onError),
+        queryCollection: async (path, options) => snapshotDocs(await getDocs(buildQuery(path, options))),
+        countWhere: async (path, field, op, value) => (await getCountFromServer(query(collection(db, path), where(field, op, value)))).data().count,
+        runTransaction: (updateFunction) => runTransaction(db, (transaction) => updateFunction({
+            get: async (path) => snapshotData(await transaction.get(ref(path))),
+            set: (path, data, options = {}) => transaction.set(ref(path), data, options),
+            update: (path, changes) => transaction.update(ref(path), changes),
+            delete: (path) => transaction.delete(ref(path))
+        })),
+        batch: () => {
+            const batch = writeBatch(db);
+            return {
+                set: (path, data, options = {}) => batch.set(ref(path), data, options),
+                update: (path, changes) => batch.update(ref(path), changes),
+                delete: (path) => batch.delete(ref(path)),
+                commit: () => batch.commit()
+            };
+        },
+        serverTimestamp,
+        arrayUnion
+    };
+};
@@ -0,0 +1,33 @@
+import { createFirebaseBackend } from './firebase';
+import { createLocalBackend } from './local';
+
+// Everything the app stores goes through one backend object:
+//   auth:       watchUser(onUser, onError), currentUser(), linkAccount(), switchAccount(credential), signOut()
+//   documents:  getDoc(path), setDoc(path, data, { merge }), updateDoc(path, changes), deleteDoc(path)
+//   live reads: subscribeDoc(path, onData, onError), subscribeCollection(path, onDocs, onError, { orderBy, direction, limit })
+//   queries:    queryCollection(path, { where: [field, op, value], orderBy, direction, limit }), countWhere(path, field, op, value)
+//   atomic:     runTransaction(async tx => ...) with tx.get/set/update/delete, batch() with set/update/delete/commit
+//   values:     serverTimestamp(), arrayUnion(...values)
+// Paths are slash-separated document paths. Missing documents read as null, collections as arrays of
+// { id, ...data }, and timestamps always read back as epoch milliseconds (write and compare them as Dates).
+// updateDoc accepts dotted field paths.
+//
+// The Firebase backend is used when VITE_FIREBASE_CONFIG is set; without it the app runs entirely on
+// this device with the local backend.
+const firebaseConfig = JSON.parse(import.meta.env.VITE_FIREBASE_CONFIG || '{}');
+const initialAuthToken = typeof __initial_auth_token !== 'undefined' ? __initial_auth_token : null;
+
+const createBackend = () => {
+    if (firebaseConfig.apiKey && firebaseConfig.projectId) {
+        try {
+            return createFirebaseBackend(firebaseConfig, { initialAuthToken });
+        } catch (error) {
+            console.error("Firebase initialization failed, falling back to local play:", error);
+        }
+    } else {
+        console.warn("Firebase configuration is missing. Running with the local backend.");
+    }
+    return createLocalBackend();
+};
+
+export const backend = createBackend();
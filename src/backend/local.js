@@ -0,0 +1,191 @@
+// A backend that keeps every document in this browser: in localStorage when it is available, so
+// data survives reloads and other tabs on the same device see each other's rooms, otherwise in memory.
+// Each tab signs in as its own player (the uid lives in sessionStorage), so two tabs can play each other.
+// It follows the same document semantics as the Firebase backend but enforces no security rules.
+const STORAGE_PREFIX = 'trivia-local-db:';
+const USER_KEY = 'trivia-local-uid';
+
+const SERVER_TIMESTAMP = { __localSentinel: 'serverTimestamp' };
+const clone = (value) => value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isSameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Sentinels and Dates are resolved at write time, against the value already stored in that field.
+const resolveValue = (value, current) => {
+    if (value === SERVER_TIMESTAMP) return Date.now();
+    if (value instanceof Date) return value.getTime();
+    if (value?.__localSentinel === 'arrayUnion') return [...(current || []), ...value.values.filter(v => !(current || []).some(existing => isSameValue(existing, v)))];
+    if (Array.isArray(value)) return value.map(v => resolveValue(v));
+    if (isPlainObject(value)) return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, resolveValue(v)]));
+    return value;
+};
+const mergeInto = (target, changes) => {
+    const result = { ...target };
+    Object.entries(changes).forEach(([key, value]) => {
+        result[key] = isPlainObject(value) && !value.__localSentinel && isPlainObject(result[key]) ? mergeInto(result[key], value) : resolveValue(value, result[key]);
+    });
+    return result;
+};
+// Update keys may be dotted field paths ("answers.uid"), like Firestore's updateDoc.
+const applyUpdate = (data, changes) => {
+    const result = clone(data);
+    Object.entries(changes).forEach(([fieldPath, value]) => {
+        const keys = fieldPath.split('.');
+        const parent = keys.slice(0, -1).reduce((node, key) => {
+            if (!isPlainObject(node[key])) node[key] = {};
+            return node[key];
+        }, result);
+        const last = keys[keys.length - 1];
+        parent[last] = resolveValue(value, parent[last]);
+    });
+    return result;
+};
+const parentPath = (path) => path.split('/').slice(0, -1).join('/');
+const docId = (path) => path.split('/').pop();
+const compare = { '>': (a, b) => a > b, '>=': (a, b) => a >= b, '<': (a, b) => a < b, '<=': (a, b) => a <= b, '==': (a, b) => a === b, '!=': (a, b) => a !== b };
+const matchWhere = (results, field, op, value) => results.filter(d => d[field] !== undefined && compare[op](d[field], resolveValue(value)));
+
+const openStorage = (name) => {
+    try {
+        window[name].setItem(`${STORAGE_PREFIX}test`, '1');
+        window[name].removeItem(`${STORAGE_PREFIX}test`);
+        return window[name];
+    } catch (error) {
+        console.warn(`${name} is unavailable, what it would keep will only last for this page`, error);
+        return null;
+    }
+};
+
+export const createLocalBackend = () => {
+    const storage = openStorage('localStorage');
+    const tabStorage = openStorage('sessionStorage');
+    const docs = new Map();
+    const docListeners = new Map();
+    const collectionListeners = new Map();
+
+    if (storage) {
+        Object.keys(storage).filter(key => key.startsWith(STORAGE_PREFIX)).forEach(key => {
+            try { docs.set(key.slice(STORAGE_PREFIX.length), JSON.parse(storage.getItem(key))); } catch (error) { console.warn(`Ignoring unreadable local document ${key}`, error); }
+        });
+    }
+
+    const collectionDocs = (path) => [...docs.entries()].filter(([docPath]) => parentPath(docPath) === path).map(([docPath, data]) => ({ id: docId(docPath), ...clone(data) }));
+    const runQuery = (path, { where: condition, orderBy: field, direction = 'asc', limit: max } = {}) => {
+        let results = collectionDocs(path);
+        if (condition) results = matchWhere(results, ...condition);
+        if (field) results = results.filter(d => d[field] !== undefined).sort((a, b) => (a[field] < b[field] ? -1 : a[field] > b[field] ? 1 : 0) * (direction === 'desc' ? -1 : 1));
+        return max ? results.slice(0, max) : results;
+    };
+
+    // Listeners are called asynchronously, as Firestore snapshots are.
+    const notify = (path) => setTimeout(() => {
+        (docListeners.get(path) || []).forEach(onData => onData(clone(docs.get(path)) ?? null));
+        (collectionListeners.get(parentPath(path)) || []).forEach(refresh => refresh());
+    }, 0);
+    const listen = (listeners, path, callback) => {
+        if (!listeners.has(path)) listeners.set(path, new Set());
+        listeners.get(path).add(callback);
+        return () => listeners.get(path).delete(callback);
+    };
+
+    const write = (path, data) => {
+        if (data === null) docs.delete(path); else docs.set(path, data);
+        if (storage) {
+            try {
+                if (data === null) storage.removeItem(STORAGE_PREFIX + path); else storage.setItem(STORAGE_PREFIX + path, JSON.stringify(data));
+            } catch (error) { console.warn("Could not persist local data", error); }
+        }
+        notify(path);
+    };
+    // Each write works out a document's new data from its current data (null when it doesn't exist).
+    const setData = (current, data, { merge = false } = {}) => merge ? mergeInto(current || {}, data) : mergeInto({}, data);
+    const updateData = (current, changes, path) => {
+        if (!current) throw new Error(`No document to update: ${path}`);
+        return applyUpdate(current, changes);
+    };
+    const setDocument = (path, data, options) => write(path, setData(docs.get(path), data, options));
+    const updateDocument = (path, changes) => write(path, updateData(docs.get(path), changes, path));
+
+    // Transactions and batches work out every write against a staged copy first, so one that fails
+    // (an update to a missing document) throws before anything is stored or announced.
+    const stagedWrites = () => {
+        const writes = [];
+        return {
+            set: (path, data, options) => writes.push({ path, apply: current => setData(current, data, options) }),
+            update: (path, changes) => writes.push({ path, apply: current => updateData(current, changes, path) }),
+            delete: (path) => writes.push({ path, apply: () => null }),
+            commit: () => {
+                const staged = new Map();
+                writes.forEach(({ path, apply }) => staged.set(path, apply(staged.has(path) ? staged.get(path) : docs.get(path) ?? null)));
+                staged.forEach((data, path) => write(path, data));
+            }
+        };
+    };
+
+    // Other tabs write straight to localStorage; pick their changes up so shared rooms stay live.
+    if (storage) {
+        window.addEventListener('storage', (event) => {
+            if (!event.key?.startsWith(STORAGE_PREFIX)) return;
+            const path = event.key.slice(STORAGE_PREFIX.length);
+            if (event.newValue === null) docs.delete(path); else docs.set(path, JSON.parse(event.newValue));
+            notify(path);
+        });
+    }
+
+    const createUser = () => {
+        const user = { uid: `local-${Math.random().toString(36).slice(2, 12)}`, isAnonymous: true, email: null };
+        try { tabStorage?.setItem(USER_KEY, user.uid); } catch (error) { console.warn("Could not remember the local player", error); }
+        return user;
+    };
+    const savedUid = tabStorage?.getItem(USER_KEY);
+    let currentUser = savedUid ? { uid: savedUid, isAnonymous: true, email: null } : createUser();
+    const userListeners = new Set();
+
+    return {
+        name: 'local',
+        supportsAccounts: false,
+
+        watchUser: (onUser) => {
+            userListeners.add(onUser);
+            setTimeout(() => onUser(currentUser), 0);
+            return () => userListeners.delete(onUser);
+        },
+        currentUser: () => currentUser,
+        linkAccount: async () => { throw new Error('Accounts need the Firebase backend.'); },
+        switchAccount: async () => { throw new Error('Accounts need the Firebase backend.'); },
+        // Signing out starts over as a new local player.
+        signOut: async () => {
+            currentUser = createUser();
+            userListeners.forEach(onUser => onUser(currentUser));
+        },
+
+        getDoc: async (path) => clone(docs.get(path)) ?? null,
+        setDoc: async (path, data, options) => setDocument(path, data, options),
+        updateDoc: async (path, changes) => updateDocument(path, changes),
+        deleteDoc: async (path) => write(path, null),
+        subscribeDoc: (path, onData) => {
+            setTimeout(() => onData(clone(docs.get(path)) ?? null), 0);
+            return listen(docListeners, path, onData);
+        },
+        subscribeCollection: (path, onDocs, onError, options) => {
+            const refresh = () => onDocs(runQuery(path, options));
+            setTimeout(refresh, 0);
+            return listen(collectionListeners, path, refresh);
+        },
+        queryCollection: async (path, options) => runQuery(path, options),
+        countWhere: async (path, field, op, value) => matchWhere(collectionDocs(path), field, op, value).length,
+        // Everything runs on this one thread, so a transaction only has to apply its writes together at the end.
+        runTransaction: async (updateFunction) => {
+            const { commit, ...writes } = stagedWrites();
+            const result = await updateFunction({ get: async (path) => clone(docs.get(path)) ?? null, ...writes });
+            commit();
+            return result;
+        },
+        batch: () => {
+            const { commit, ...writes } = stagedWrites();
+            return { ...writes, commit: async () => commit() };
+        },
+        serverTimestamp: () => SERVER_TIMESTAMP,
+        arrayUnion: (...values) => ({ __localSentinel: 'arrayUnion', values })
+    };
+};
@@ -0,0 +1,297 @@
+// The rules of a trivia game, shared by every mode. A game is a plain object:
+//   { questions, currentQuestionIndex, players: [{ uid, name, score }], answers: { uid: { answer, answeredAt, questionIndex } | null },
+//     revealedAnswer, history, gameState: 'waiting' | 'playing' | 'finished', questionDeadline, gameSettings, round,
+//     lifelines: { uid: [{ lifeline, questionIndex }] }, hiddenAnswers: { uid: [answer] }, outOfQuestions }
+// Each move returns the changes it makes as an update map, in the same shape (dotted field paths included) that the
+// backend's updateDoc takes, or null when the move isn't allowed right now. Multiplayer writes those changes to the
+// room document; local games fold them in with applyChanges. Nothing here touches React, the backend or the page,
+// and every time is passed in, so the rules run the same anywhere, Node included.
+
+// --- SCORING ---
+// Without a time limit every correct answer is worth 1 point. With one, a correct answer is worth
+// between half and all of MAX_TIMED_POINTS depending on how much time was left.
+export const MAX_TIMED_POINTS = 10;
+export const calculatePoints = (isCorrect, timeLimit, remainingMs) => {
+    if (!isCorrect) return 0;
+    if (!timeLimit) return 1;
+    const fraction = Math.min(1, Math.max(0, remainingMs / (timeLimit * 1000)));
+    return Math.round(MAX_TIMED_POINTS / 2 * (1 + fraction));
+};
+export const getQuestionDeadline = (gameSettings, now) => gameSettings?.timeLimit ? now + gameSettings.timeLimit * 1000 : null;
+
+// --- ANSWER MATCHING ---
+export const getQuestionType = (question) => question.type || 'multiple';
+
+// Typed answers count when they match the correct answer or an accepted alternative after ignoring case, accents,
+// punctuation and a leading "the/a/an", with a typo or two allowed in longer answers. Numbers must match exactly.
+// Letters from every script are kept, so answers in Cyrillic, Greek or CJK match too.
+const normalizeAnswerText = (text) => String(text).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+    .replace(/&/g, ' and ').replace(/[^\p{L}\p{M}\p{N}\s]/gu, ' ').replace(/\s+/g, ' ').trim().replace(/^(the|a|an) /, '');
+const editDistance = (a, b) => {
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+        previous = current;
+    }
+    return previous[b.length];
+};
+const isCloseMatch = (answer, expected) => {
+    const given = normalizeAnswerText(answer);
+    const target = normalizeAnswerText(expected);
+    if (!given || !target) return false;
+    if (given === target) return true;
+    if (/\d/.test(target)) return false;
+    const allowedTypos = target.length <= 4 ? 0 : target.length <= 8 ? 1 : 2;
+    return editDistance(given, target) <= allowedTypos;
+};
+// Maps a pick onto the correct answer when it counts as correct, so history and stats can compare picks directly.
+export const resolveAnswer = (type, answer, correctAnswer, acceptedAnswers = []) => {
+    if (answer == null) return answer;
+    const isCorrect = type === 'text' ? [correctAnswer, ...acceptedAnswers].some(expected => isCloseMatch(answer, expected)) : answer === correctAnswer;
+    return isCorrect ? correctAnswer : answer;
+};
+
+// --- LIFELINES ---
+// With gameSettings.lifelines set to n, each player may use each lifeline n times a round, once per question and
+// only before answering. 50/50 hides two wrong answers, skip passes on a question without it counting against the
+// player, and double points doubles what the question scores.
+export const LIFELINES = ['fiftyFifty', 'skip', 'double'];
+const FIFTY_FIFTY_HIDES = 2;
+
+// Players record their own uses, so anything past the limits is ignored rather than trusted.
+const getValidUses = (game, uid) => (game.lifelines?.[uid] || []).reduce((valid, use) => {
+    const isWithinLimit = valid.filter(v => v.lifeline === use.lifeline).length < (game.gameSettings?.lifelines || 0);
+    const isRepeat = valid.some(v => v.lifeline === use.lifeline && v.questionIndex === use.questionIndex);
+    return LIFELINES.includes(use.lifeline) && isWithinLimit && !isRepeat ? [...valid, use] : valid;
+}, []);
+export const getLifelinesUsed = (game, uid, questionIndex = game.currentQuestionIndex) => getValidUses(game, uid).filter(use => use.questionIndex === questionIndex).map(use => use.lifeline);
+export const getLifelinesLeft = (game, uid, lifeline) => (game.gameSettings?.lifelines || 0) - getValidUses(game, uid).filter(use => use.lifeline === lifeline).length;
+export const canUseLifeline = (game, uid, lifeline) => {
+    if (game.gameState !== 'playing' || isRevealed(game) || hasAnswered(game, uid)) return false;
+    if (getLifelinesLeft(game, uid, lifeline) <= 0 || getLifelinesUsed(game, uid).includes(lifeline)) return false;
+    const question = getCurrentQuestion(game);
+    return lifeline !== 'fiftyFifty' || (getQuestionType(question) === 'multiple' && question.answers.length > FIFTY_FIFTY_HIDES + 1);
+};
+
+// --- GAME LENGTH ---
+// Classic games play a fixed set of questions. Survival (gameSettings.variant) goes on until every player has given
+// gameSettings.lives wrong answers, and adaptive games play gameSettings.amount questions with the difficulty
+// following the player's recent accuracy. Both load their questions as they go, asking for them with getQuestionRequest.
+export const MAX_SURVIVAL_QUESTIONS = 500;
+const QUESTION_BUFFER = 3;
+const QUESTION_BATCH = 5;
+const ADAPTIVE_LEVELS = ['easy', 'medium', 'hard'];
+const ADAPTIVE_WINDOW = 3;
+
+const getVariant = (game) => game.gameSettings?.variant || 'classic';
+const getQuestionTarget = (game) => ({ survival: MAX_SURVIVAL_QUESTIONS, adaptive: game.gameSettings?.amount }[getVariant(game)] ?? game.questions.length);
+const isSkipped = (entry, uid) => Boolean(entry.lifelines?.[uid]?.includes('skip'));
+
+// Timeouts count as wrong; skips don't.
+export const getWrongAnswers = (game, uid) => (game.history || []).filter(entry => !isSkipped(entry, uid) && entry.picks[uid] !== entry.correctAnswer).length;
+export const getLivesLeft = (game, uid) => Math.max(0, (game.gameSettings?.lives || 0) - getWrongAnswers(game, uid));
+const isEveryoneOut = (game) => getVariant(game) === 'survival' && game.players.every(p => getLivesLeft(game, p.uid) === 0);
+
+// Adaptive games start at medium, step up after ADAPTIVE_WINDOW right answers in a row and step down after two
+// misses within that many questions. Each step starts the count again.
+export const getAdaptiveDifficulty = (game, uid = game.players[0].uid) => {
+    let level = 1;
+    let recent = [];
+    (game.history || []).filter(entry => !isSkipped(entry, uid)).forEach(entry => {
+        recent = [...recent, entry.picks[uid] === entry.correctAnswer].slice(-ADAPTIVE_WINDOW);
+        const step = recent.length === ADAPTIVE_WINDOW && recent.every(Boolean) ? 1 : recent.filter(isRight => !isRight).length >= 2 ? -1 : 0;
+        if (step && ADAPTIVE_LEVELS[level + step]) { level += step; recent = []; }
+    });
+    return ADAPTIVE_LEVELS[level];
+};
+
+// What to fetch to start a game with these settings.
+export const getOpeningRequest = (gameSettings) => ({
+    survival: { amount: QUESTION_BATCH, difficulty: gameSettings.difficulty },
+    adaptive: { amount: 1, difficulty: ADAPTIVE_LEVELS[1] }
+}[gameSettings.variant] || { amount: gameSettings.amount, difficulty: gameSettings.difficulty });
+
+// What to fetch next to keep a few questions ready, or null when nothing is needed. Adaptive games fetch one
+// question at a time, after each reveal, so that it matches the answer just given.
+export const getQuestionRequest = (game) => {
+    const variant = getVariant(game);
+    if (variant === 'classic' || game.gameState !== 'playing' || game.outOfQuestions || isLastQuestion(game)) return null;
+    if (variant === 'adaptive' && !isRevealed(game)) return null;
+    const queued = game.questions.length - game.currentQuestionIndex - 1;
+    const wanted = Math.min(variant === 'adaptive' ? 1 : QUESTION_BUFFER, getQuestionTarget(game) - game.currentQuestionIndex - 1);
+    if (queued >= wanted) return null;
+    return variant === 'adaptive' ? { amount: 1, difficulty: getAdaptiveDifficulty(game) } : { amount: QUESTION_BATCH, difficulty: game.gameSettings.difficulty };
+};
+
+// Adds fetched questions, leaving out any already asked. When a fetch brings nothing new the sources have run dry,
+// and the game ends after the questions it already has.
+export const addQuestions = (game, questions) => {
+    const asked = new Set(game.questions.map(q => q.question));
+    const fresh = questions.filter(q => !asked.has(q.question));
+    if (fresh.length === 0) return { outOfQuestions: true };
+    return { questions: [...game.questions, ...fresh].slice(0, getQuestionTarget(game)) };
+};
+
+// --- ROUNDS ---
+// One entry per played question, kept for the post-game review. picks maps uid to the chosen answer (null when
+// timed out or skipped), points to what it scored and lifelines to the lifelines each player used on it.
+export const buildHistoryEntry = (question, correctAnswer, picks, points = {}, lifelines = {}) => ({
+    type: getQuestionType(question),
+    question: question.question,
+    category: question.category,
+    difficulty: question.difficulty,
+    answers: question.answers,
+    correctAnswer,
+    picks,
+    points,
+    lifelines
+});
+
+// Folds a finished round into each player's running total; the top scorer(s) of the round win it.
+export const finishRound = (players) => {
+    const topScore = Math.max(...players.map(p => p.score));
+    return players.map(p => ({ ...p, totalScore: (p.totalScore || 0) + p.score, roundWins: (p.roundWins || 0) + (topScore > 0 && p.score === topScore ? 1 : 0) }));
+};
+
+// A best-of-N series ends after the last round, or early once someone has won a majority of rounds.
+export const isSeriesOver = (game) => {
+    const rounds = game.gameSettings?.rounds || 1;
+    return (game.round || 1) >= rounds || game.players.some(p => (p.roundWins || 0) > rounds / 2);
+};
+
+// --- STATE ---
+export const createGame = ({ questions, players, gameSettings, now, ...extra }) => ({
+    ...extra,
+    questions,
+    gameSettings,
+    players: players.map(p => ({ ...p, score: 0 })),
+    round: 1,
+    currentQuestionIndex: 0,
+    answers: {},
+    revealedAnswer: null,
+    history: [],
+    lifelines: {},
+    hiddenAnswers: {},
+    gameState: 'playing',
+    questionDeadline: getQuestionDeadline(gameSettings, now)
+});
+
+// Applies an update map (as returned by the moves below) to a game without changing the original.
+// Returns the same game when there is nothing to apply.
+export const applyChanges = (game, changes) => {
+    if (!changes) return game;
+    const result = { ...game };
+    Object.entries(changes).forEach(([fieldPath, value]) => {
+        const keys = fieldPath.split('.');
+        const parent = keys.slice(0, -1).reduce((node, key) => {
+            node[key] = { ...node[key] };
+            return node[key];
+        }, result);
+        parent[keys[keys.length - 1]] = value;
+    });
+    return result;
+};
+
+export const getCurrentQuestion = (game) => game.questions[game.currentQuestionIndex];
+export const isLastQuestion = (game) => game.currentQuestionIndex >= getQuestionTarget(game) - 1 || isEveryoneOut(game)
+    || (Boolean(game.outOfQuestions) && game.currentQuestionIndex >= game.questions.length - 1);
+// Open-ended games may still be fetching the next question when the current one is done.
+export const isNextQuestionReady = (game) => isLastQuestion(game) || game.currentQuestionIndex < game.questions.length - 1;
+export const hasAnswered = (game, uid) => game.answers?.[uid] !== undefined;
+export const isRevealed = (game) => game.revealedAnswer != null;
+// isActive lets multiplayer skip idle players, who would otherwise hold up every question.
+export const allAnswered = (game, isActive = () => true) => game.players.filter(p => isActive(p.uid)).every(p => hasAnswered(game, p.uid));
+// The revealed history entry of the current question, or null before the reveal.
+export const getRevealedEntry = (game) => isRevealed(game) ? game.history?.[game.currentQuestionIndex] || null : null;
+
+// --- MOVES ---
+export const startGame = (game, now) => game.gameState !== 'waiting' ? null : { gameState: 'playing', questionDeadline: getQuestionDeadline(game.gameSettings, now) };
+
+// Each player gets one answer per question, while it is still open. The answer names its question,
+// so the room's rules can turn away one that arrives after the game has moved on.
+export const submitAnswer = (game, uid, answer, answeredAt) => {
+    if (game.gameState !== 'playing' || isRevealed(game) || hasAnswered(game, uid)) return null;
+    return { [`answers.${uid}`]: { answer, answeredAt, questionIndex: game.currentQuestionIndex } };
+};
+
+// Players who haven't answered by the deadline are marked as timed out with a null answer.
+export const timeOut = (game, uids) => {
+    if (game.gameState !== 'playing' || isRevealed(game)) return null;
+    const unanswered = uids.filter(uid => !hasAnswered(game, uid));
+    return unanswered.length ? Object.fromEntries(unanswered.map(uid => [`answers.${uid}`, null])) : null;
+};
+
+// A skip stands in as the player's answer for the question, so nobody waits for them.
+export const playLifeline = (game, uid, lifeline, usedAt) => {
+    if (!canUseLifeline(game, uid, lifeline)) return null;
+    const changes = { [`lifelines.${uid}`]: [...(game.lifelines?.[uid] || []), { lifeline, questionIndex: game.currentQuestionIndex }] };
+    if (lifeline === 'skip') changes[`answers.${uid}`] = { answer: null, answeredAt: usedAt, questionIndex: game.currentQuestionIndex, skipped: true };
+    return changes;
+};
+
+export const isWaitingForFiftyFifty = (game, uid) => getLifelinesUsed(game, uid).includes('fiftyFifty') && !game.hiddenAnswers?.[uid];
+
+// Answers 50/50 for every player still waiting on one. Whoever holds the answer key does this: the host in
+// multiplayer, the device itself in local games.
+export const hideWrongAnswers = (game, correctAnswer, random = Math.random) => {
+    if (game.gameState !== 'playing' || isRevealed(game)) return null;
+    const question = getCurrentQuestion(game);
+    const waiting = game.players.filter(p => isWaitingForFiftyFifty(game, p.uid));
+    if (waiting.length === 0) return null;
+    const pickHidden = () => question.answers.filter(a => a !== correctAnswer).map(a => [random(), a]).sort((a, b) => a[0] - b[0]).slice(0, FIFTY_FIFTY_HIDES).map(([, a]) => a);
+    return Object.fromEntries(waiting.map(p => [`hiddenAnswers.${p.uid}`, pickHidden()]));
+};
+
+// Pass and play gives each player their own clock; a turn deadline takes the place of the question deadline.
+export const startTurn = (game, uid, now) => ({ [`turnDeadlines.${uid}`]: getQuestionDeadline(game.gameSettings, now) });
+
+// Scores the current question against its answer key and records it in the history.
+export const revealAnswer = (game, correctAnswer, acceptedAnswers = []) => {
+    if (game.gameState !== 'playing' || isRevealed(game)) return null;
+    const question = getCurrentQuestion(game);
+    const picks = Object.fromEntries(Object.entries(game.answers || {}).map(([uid, entry]) => [uid, entry ? resolveAnswer(getQuestionType(question), entry.answer, correctAnswer, acceptedAnswers) : null]));
+    const points = Object.fromEntries(Object.entries(game.answers || {}).map(([uid, entry]) => {
+        const deadline = game.turnDeadlines?.[uid] ?? game.questionDeadline;
+        const remainingMs = entry?.answeredAt && deadline ? deadline - entry.answeredAt : 0;
+        const multiplier = getLifelinesUsed(game, uid).includes('double') ? 2 : 1;
+        return [uid, multiplier * calculatePoints(picks[uid] != null && picks[uid] === correctAnswer, game.gameSettings?.timeLimit, remainingMs)];
+    }));
+    const lifelines = Object.fromEntries(game.players.map(p => [p.uid, getLifelinesUsed(game, p.uid)]).filter(([, used]) => used.length > 0));
+    return {
+        players: game.players.map(p => ({ ...p, score: p.score + (points[p.uid] || 0) })),
+        revealedAnswer: correctAnswer,
+        history: [...(game.history || []), buildHistoryEntry(question, correctAnswer, picks, points, lifelines)]
+    };
+};
+
+// After a reveal the game moves on to the next question, or finishes the round after the last one.
+export const advance = (game, now) => {
+    if (game.gameState !== 'playing' || !isRevealed(game)) return null;
+    if (isLastQuestion(game)) return { gameState: 'finished', players: finishRound(game.players) };
+    if (!isNextQuestionReady(game)) return null;
+    return {
+        currentQuestionIndex: game.currentQuestionIndex + 1,
+        answers: {},
+        revealedAnswer: null,
+        hiddenAnswers: {},
+        questionDeadline: getQuestionDeadline(game.gameSettings, now),
+        ...(game.turnDeadlines ? { turnDeadlines: {} } : {})
+    };
+};
+
+// Starts the next round of a series with freshly fetched questions, or with playAgain resets the series and
+// waits in the lobby. questionFields carries the new questions (and anything else that comes with them).
+export const startRound = (game, questionFields, { playAgain = false, now }) => ({
+    ...questionFields,
+    players: game.players.map(p => ({ ...p, score: 0, ...(playAgain ? { totalScore: 0, roundWins: 0 } : {}) })),
+    round: playAgain ? 1 : (game.round || 1) + 1,
+    currentQuestionIndex: 0,
+    answers: {},
+    revealedAnswer: null,
+    history: [],
+    lifelines: {},
+    hiddenAnswers: {},
+    gameState: playAgain ? 'waiting' : 'playing',
+    questionDeadline: playAgain ? null : getQuestionDeadline(questionFields.gameSettings || game.gameSettings, now)
+});
@@ -0,0 +1,248 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    MAX_TIMED_POINTS, MAX_SURVIVAL_QUESTIONS, calculatePoints, resolveAnswer, createGame, applyChanges, submitAnswer, timeOut,
+    revealAnswer, advance, startRound, isLastQuestion, isNextQuestionReady, getLifelinesLeft, canUseLifeline, playLifeline,
+    hideWrongAnswers, getLifelinesUsed, getLivesLeft, getAdaptiveDifficulty, getOpeningRequest, getQuestionRequest, addQuestions
+} from './gameEngine.js';
+
+const NOW = 1_000_000;
+const makeQuestion = (n, extra = {}) => ({ question: `Question ${n}?`, category: 'General', difficulty: 'easy', answers: ['Right', 'Wrong 1', 'Wrong 2', 'Wrong 3'], ...extra });
+const makeGame = ({ questions = [1, 2, 3].map(n => makeQuestion(n)), players = ['a', 'b'], ...gameSettings } = {}) =>
+    createGame({ questions, players: players.map(uid => ({ uid, name: uid.toUpperCase() })), gameSettings: { timeLimit: 0, ...gameSettings }, now: NOW });
+
+// Plays the current question: each uid in picks answers (or times out with null), then it is revealed.
+const play = (game, picks, correctAnswer = 'Right', answeredAt = NOW) => {
+    const answered = Object.entries(picks).reduce((current, [uid, answer]) => applyChanges(current, answer === null ? timeOut(current, [uid]) : submitAnswer(current, uid, answer, answeredAt)), game);
+    return applyChanges(answered, revealAnswer(answered, correctAnswer));
+};
+const playAndAdvance = (game, picks) => {
+    const revealed = play(game, picks);
+    return applyChanges(revealed, advance(revealed, NOW));
+};
+
+describe('calculatePoints', () => {
+    it('gives 1 point for a correct untimed answer and none for a wrong one', () => {
+        assert.equal(calculatePoints(true, 0, 0), 1);
+        assert.equal(calculatePoints(false, 0, 0), 0);
+    });
+    it('scales timed answers between half and all of the maximum', () => {
+        assert.equal(calculatePoints(true, 20, 20000), MAX_TIMED_POINTS);
+        assert.equal(calculatePoints(true, 20, 0), MAX_TIMED_POINTS / 2);
+        assert.equal(calculatePoints(true, 20, 10000), Math.round(MAX_TIMED_POINTS * 0.75));
+        assert.equal(calculatePoints(true, 20, 99999), MAX_TIMED_POINTS);
+    });
+});
+
+describe('resolveAnswer', () => {
+    it('matches multiple choice answers exactly', () => {
+        assert.equal(resolveAnswer('multiple', 'Right', 'Right'), 'Right');
+        assert.equal(resolveAnswer('multiple', 'right', 'Right'), 'right');
+    });
+    it('forgives case, accents, punctuation, articles and small typos in typed answers', () => {
+        assert.equal(resolveAnswer('text', 'the beatles!', 'Beatles'), 'Beatles');
+        assert.equal(resolveAnswer('text', 'Bogota', 'Bogotá'), 'Bogotá');
+        assert.equal(resolveAnswer('text', 'Missisippi', 'Mississippi'), 'Mississippi');
+        assert.equal(resolveAnswer('text', 'UK', 'United Kingdom', ['UK']), 'United Kingdom');
+    });
+    it('needs numbers to match exactly', () => {
+        assert.equal(resolveAnswer('text', '1966', '1969'), '1966');
+    });
+    it('matches answers written in other scripts', () => {
+        assert.equal(resolveAnswer('text', 'Москва', 'Москва'), 'Москва');
+        assert.equal(resolveAnswer('text', '東京', '東京'), '東京');
+    });
+    it('keeps null picks', () => {
+        assert.equal(resolveAnswer('text', null, 'Right'), null);
+    });
+});
+
+describe('revealAnswer', () => {
+    it('scores picks, records the history and reveals the answer', () => {
+        const game = play(makeGame(), { a: 'Right', b: 'Wrong 1' });
+        assert.equal(game.revealedAnswer, 'Right');
+        assert.deepEqual(game.players.map(p => p.score), [1, 0]);
+        assert.deepEqual(game.history[0].picks, { a: 'Right', b: 'Wrong 1' });
+        assert.deepEqual(game.history[0].points, { a: 1, b: 0 });
+    });
+    it('times points against the question deadline', () => {
+        const game = play(makeGame({ timeLimit: 10 }), { a: 'Right', b: 'Right' }, 'Right', NOW + 10000);
+        assert.deepEqual(game.history[0].points, { a: MAX_TIMED_POINTS / 2, b: MAX_TIMED_POINTS / 2 });
+    });
+    it('counts timed out players as wrong', () => {
+        const game = play(makeGame(), { a: null, b: 'Right' });
+        assert.deepEqual(game.history[0].picks, { a: null, b: 'Right' });
+        assert.equal(game.players[0].score, 0);
+    });
+    it('only reveals once', () => {
+        assert.equal(revealAnswer(play(makeGame(), { a: 'Right' }), 'Right'), null);
+    });
+    it('turns away answers after the reveal', () => {
+        assert.equal(submitAnswer(play(makeGame(), { a: 'Right' }), 'b', 'Right', NOW), null);
+    });
+    it('names the question each answer is for', () => {
+        const game = { ...makeGame(), currentQuestionIndex: 1 };
+        assert.deepEqual(submitAnswer(game, 'a', 'Right', NOW), { 'answers.a': { answer: 'Right', answeredAt: NOW, questionIndex: 1 } });
+    });
+});
+
+describe('advance', () => {
+    it('waits for the reveal, then moves on to the next question', () => {
+        const game = makeGame({ timeLimit: 10 });
+        assert.equal(advance(game, NOW), null);
+        const revealed = play(game, { a: 'Right', b: 'Right' });
+        const next = applyChanges(revealed, advance(revealed, NOW + 5000));
+        assert.equal(next.currentQuestionIndex, 1);
+        assert.deepEqual(next.answers, {});
+        assert.equal(next.revealedAnswer, null);
+        assert.equal(next.questionDeadline, NOW + 15000);
+    });
+    it('finishes the round after the last question and awards the round win', () => {
+        let game = makeGame();
+        game = playAndAdvance(game, { a: 'Right', b: 'Wrong 1' });
+        game = playAndAdvance(game, { a: 'Right', b: 'Right' });
+        assert.ok(isLastQuestion(game));
+        game = playAndAdvance(game, { a: 'Wrong 1', b: 'Right' });
+        assert.equal(game.gameState, 'finished');
+        assert.deepEqual(game.players.map(p => [p.totalScore, p.roundWins]), [[2, 1], [2, 1]]);
+    });
+});
+
+describe('startRound', () => {
+    const finished = () => [1, 2, 3].reduce(game => playAndAdvance(game, { a: 'Right', b: 'Wrong 1' }), makeGame({ rounds: 3 }));
+
+    it('starts the next round of a series, keeping the running totals', () => {
+        const game = applyChanges(finished(), startRound(finished(), { questions: [makeQuestion(4)] }, { now: NOW }));
+        assert.equal(game.round, 2);
+        assert.equal(game.gameState, 'playing');
+        assert.deepEqual(game.players.map(p => [p.score, p.totalScore, p.roundWins]), [[0, 3, 1], [0, 0, 0]]);
+        assert.deepEqual(game.history, []);
+    });
+    it('sends a replayed series back to the lobby with everything reset', () => {
+        const game = applyChanges(finished(), startRound(finished(), { questions: [makeQuestion(4)] }, { playAgain: true, now: NOW }));
+        assert.equal(game.round, 1);
+        assert.equal(game.gameState, 'waiting');
+        assert.deepEqual(game.players.map(p => [p.totalScore, p.roundWins]), [[0, 0], [0, 0]]);
+    });
+});
+
+describe('lifelines', () => {
+    it('are off unless the settings allow them', () => {
+        assert.equal(playLifeline(makeGame(), 'a', 'skip', NOW), null);
+    });
+    it('can each be used as often as the settings allow, once per question', () => {
+        let game = makeGame({ lifelines: 1 });
+        game = applyChanges(game, playLifeline(game, 'a', 'double', NOW));
+        assert.equal(canUseLifeline(game, 'a', 'double'), false);
+        assert.equal(getLifelinesLeft(game, 'a', 'double'), 0);
+        game = playAndAdvance(game, { a: 'Right', b: 'Right' });
+        assert.equal(canUseLifeline(game, 'a', 'double'), false);
+        assert.equal(canUseLifeline(game, 'b', 'double'), true);
+    });
+    it('ignores uses past the limit that a player wrote themselves', () => {
+        const game = applyChanges(makeGame({ lifelines: 1 }), { 'lifelines.a': [{ lifeline: 'double', questionIndex: 1 }, { lifeline: 'double', questionIndex: 0 }] });
+        assert.deepEqual(getLifelinesUsed(game, 'a'), []);
+    });
+    it('doubles the points with double points', () => {
+        let game = makeGame({ lifelines: 1 });
+        game = applyChanges(game, playLifeline(game, 'a', 'double', NOW));
+        game = play(game, { a: 'Right', b: 'Right' });
+        assert.deepEqual(game.history[0].points, { a: 2, b: 1 });
+        assert.deepEqual(game.history[0].lifelines, { a: ['double'] });
+    });
+    it('hides two wrong answers with 50/50, only on questions with four answers', () => {
+        let game = makeGame({ lifelines: 1 });
+        game = applyChanges(game, playLifeline(game, 'a', 'fiftyFifty', NOW));
+        game = applyChanges(game, hideWrongAnswers(game, 'Right', () => 0.5));
+        assert.equal(game.hiddenAnswers.a.length, 2);
+        assert.ok(!game.hiddenAnswers.a.includes('Right'));
+        assert.equal(hideWrongAnswers(game, 'Right'), null);
+        const boolean = makeGame({ lifelines: 1, questions: [makeQuestion(1, { type: 'boolean', answers: ['True', 'False'] })] });
+        assert.equal(canUseLifeline(boolean, 'a', 'fiftyFifty'), false);
+    });
+    it('answers for the player with a skip, which counts as neither right nor wrong', () => {
+        let game = makeGame({ lifelines: 1, variant: 'survival', lives: 1 });
+        game = applyChanges(game, playLifeline(game, 'a', 'skip', NOW));
+        assert.equal(game.answers.a.skipped, true);
+        game = play(game, { b: 'Right' });
+        assert.equal(game.history[0].picks.a, null);
+        assert.equal(getLivesLeft(game, 'a'), 1);
+    });
+});
+
+describe('survival', () => {
+    const survival = (questions = 5) => makeGame({ variant: 'survival', lives: 2, difficulty: 'hard', players: ['a'], questions: Array.from({ length: questions }, (_, i) => makeQuestion(i + 1)) });
+
+    it('opens with a batch and keeps a few questions queued', () => {
+        assert.deepEqual(getOpeningRequest({ variant: 'survival', difficulty: 'hard' }), { amount: 5, difficulty: 'hard' });
+        let game = survival();
+        assert.equal(getQuestionRequest(game), null);
+        game = playAndAdvance(game, { a: 'Right' });
+        game = playAndAdvance(game, { a: 'Right' });
+        assert.deepEqual(getQuestionRequest(game), { amount: 5, difficulty: 'hard' });
+    });
+    it('goes on until every life is lost', () => {
+        let game = survival();
+        game = playAndAdvance(game, { a: 'Wrong 1' });
+        assert.equal(getLivesLeft(game, 'a'), 1);
+        assert.equal(game.gameState, 'playing');
+        game = play(game, { a: null });
+        assert.equal(getLivesLeft(game, 'a'), 0);
+        assert.ok(isLastQuestion(game));
+        assert.equal(applyChanges(game, advance(game, NOW)).gameState, 'finished');
+    });
+    it('waits for more questions when the queue runs out, and ends when the sources run dry', () => {
+        let game = playAndAdvance(survival(2), { a: 'Right' });
+        game = play(game, { a: 'Right' });
+        assert.equal(isNextQuestionReady(game), false);
+        assert.equal(advance(game, NOW), null);
+        assert.deepEqual(addQuestions(game, [makeQuestion(1), makeQuestion(2)]), { outOfQuestions: true });
+        game = applyChanges(game, addQuestions(game, [makeQuestion(2), makeQuestion(3)]));
+        assert.equal(game.questions.length, 3);
+        game = applyChanges(game, advance(game, NOW));
+        game = play(game, { a: 'Right' });
+        game = applyChanges(game, addQuestions(game, [makeQuestion(3)]));
+        assert.ok(isLastQuestion(game));
+    });
+    it('stops at the question cap', () => {
+        const game = { ...survival(), currentQuestionIndex: MAX_SURVIVAL_QUESTIONS - 1 };
+        assert.ok(isLastQuestion(game));
+    });
+});
+
+describe('adaptive', () => {
+    const adaptive = () => makeGame({ variant: 'adaptive', amount: 10, players: ['a'], questions: [makeQuestion(1)] });
+    const answerAndFetch = (game, answer) => {
+        const revealed = play(game, { a: answer });
+        const request = getQuestionRequest(revealed);
+        const loaded = applyChanges(revealed, addQuestions(revealed, [makeQuestion(revealed.questions.length + 1, { difficulty: request.difficulty })]));
+        return { game: applyChanges(loaded, advance(loaded, NOW)), request };
+    };
+
+    it('starts at medium and fetches one question after each reveal', () => {
+        assert.deepEqual(getOpeningRequest({ variant: 'adaptive', amount: 10 }), { amount: 1, difficulty: 'medium' });
+        const game = adaptive();
+        assert.equal(getQuestionRequest(game), null);
+        assert.deepEqual(getQuestionRequest(play(game, { a: 'Right' })), { amount: 1, difficulty: 'medium' });
+    });
+    it('steps up after three right answers and down after two misses', () => {
+        let game = adaptive();
+        let request;
+        ({ game } = answerAndFetch(game, 'Right'));
+        ({ game } = answerAndFetch(game, 'Right'));
+        ({ game, request } = answerAndFetch(game, 'Right'));
+        assert.equal(request.difficulty, 'hard');
+        ({ game, request } = answerAndFetch(game, 'Wrong 1'));
+        assert.equal(request.difficulty, 'hard');
+        ({ game, request } = answerAndFetch(game, 'Wrong 1'));
+        assert.equal(request.difficulty, 'medium');
+        assert.equal(getAdaptiveDifficulty(game), 'medium');
+    });
+    it('ends after the chosen number of questions', () => {
+        let game = adaptive();
+        for (let i = 0; i < 9; i++) ({ game } = answerAndFetch(game, 'Right'));
+        assert.equal(game.currentQuestionIndex, 9);
+        assert.ok(isLastQuestion(game));
+        assert.equal(getQuestionRequest(play(game, { a: 'Right' })), null);
+    });
+});
@@ -5,7 +5,17 @@ export default {
     "./src/**/*.{js,ts,jsx,tsx}",
   ],
   theme: {
-    extend: {},
+    extend: {
+      keyframes: {
+        'float-up': {
+          '0%': { transform: 'translateY(0)', opacity: '1' },
+          '100%': { transform: 'translateY(-5rem)', opacity: '0' },
+        },
+      },
+      animation: {
+        'float-up': 'float-up 3s ease-out forwards',
+      },
+    },
   },
   plugins: [],
 }